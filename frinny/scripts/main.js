@@ -5,12 +5,47 @@ import {
     gatherBasicCharacterData, 
     gatherCharacterItems,
     gatherLevelUpData,
+    gatherLevelChoices,
     getLevelChange,
+    getIntermediateLevels,
     isValidLevelUp,
-    hasLevelIncreased
+    hasLevelIncreased,
+    hasLevelDecreased
 } from './utils/characterUtils.js';
+import {
+    CreationStep,
+    isCreationInProgress,
+    startCreation,
+    getStepForItem,
+    detectCompletedSteps
+} from './utils/characterCreationUtils.js';
+import { getLevelUpPlan } from './utils/levelUpPlanUtils.js';
+import {
+    gatherBuildSnapshot,
+    getBuildSnapshot,
+    saveBuildSnapshot,
+    evaluateBuildChange,
+    holdBuildSnapshot,
+    gatherRetrainData
+} from './utils/retrainUtils.js';
 import { logHookExecution, logHookSkip, logError, logStateChange } from './utils/logUtils.js';
-import { isUserCharacterTurn, gatherCombatStateData, isCombatStarting, getVisibleEnemies, getVisibleAllies } from './utils/combatUtils.js';
+import {
+    isUserCharacterTurn,
+    gatherCombatStateData,
+    isCombatStarting,
+    getVisibleEnemyIds,
+    getVisibleAllyIds,
+    isNpcTurn,
+    gatherNpcTurnData,
+    EnemyStatsReveal
+} from './utils/combatUtils.js';
+import {
+    startEncounter,
+    getActiveEncounter,
+    recordEncounterCondition,
+    clearActiveEncounter
+} from './utils/encounterUtils.js';
+import { getThreadId } from './utils/threadUtils.js';
 
 Hooks.once('init', () => {
     logHookExecution('init', { module: 'frinny' });
@@ -61,7 +96,7 @@ Hooks.once('ready', () => {
 
         game.settings.register('frinny', 'backendUrl', {
             name: 'HTTP API URL',
-            hint: 'URL for the HTTP API (e.g., https://xxxxx.execute-api.region.amazonaws.com/stage)',
+            hint: 'URL for the HTTP API, used when the WebSocket is unavailable (e.g., https://xxxxx.execute-api.region.amazonaws.com/stage)',
             scope: 'world',
             config: true,
             type: String,
@@ -75,6 +110,75 @@ Hooks.once('ready', () => {
             }
         });
 
+        game.settings.register('frinny', 'httpFallback', {
+            name: game.i18n.localize('frinny.settings.httpFallback.name'),
+            hint: game.i18n.localize('frinny.settings.httpFallback.hint'),
+            scope: 'world',
+            config: true,
+            type: Boolean,
+            default: true,
+            onChange: value => {
+                logStateChange('HTTP fallback', 'changed', { value });
+                if (game.frinny && game.frinny.agentManager) {
+                    game.frinny.agentManager.httpFallback = value;
+                    // Requests queued while no transport was available can go out over HTTP now
+                    if (value) game.frinny.agentManager.replayQueue();
+                }
+            }
+        });
+
+        game.settings.register('frinny', 'gmTacticalMode', {
+            name: game.i18n.localize('frinny.settings.gmTacticalMode.name'),
+            hint: game.i18n.localize('frinny.settings.gmTacticalMode.hint'),
+            scope: 'world',
+            config: true,
+            type: Boolean,
+            default: false,
+            onChange: value => {
+                logStateChange('GM tactical mode', 'changed', { value });
+            }
+        });
+
+        game.settings.register('frinny', 'revealedEnemyStats', {
+            name: game.i18n.localize('frinny.settings.revealedEnemyStats.name'),
+            hint: game.i18n.localize('frinny.settings.revealedEnemyStats.hint'),
+            scope: 'world',
+            config: true,
+            type: String,
+            choices: {
+                [EnemyStatsReveal.MINIMAL]: game.i18n.localize('frinny.settings.revealedEnemyStats.minimal'),
+                [EnemyStatsReveal.DEFENSES]: game.i18n.localize('frinny.settings.revealedEnemyStats.defenses'),
+                [EnemyStatsReveal.FULL]: game.i18n.localize('frinny.settings.revealedEnemyStats.full')
+            },
+            default: EnemyStatsReveal.MINIMAL,
+            onChange: value => {
+                logStateChange('Revealed enemy stats', 'changed', { value });
+            }
+        });
+
+        game.settings.register('frinny', 'payloadBudgetKb', {
+            name: game.i18n.localize('frinny.settings.payloadBudgetKb.name'),
+            hint: game.i18n.localize('frinny.settings.payloadBudgetKb.hint'),
+            scope: 'world',
+            config: true,
+            type: Number,
+            default: 64,
+            range: {
+                min: 16,
+                max: 512,
+                step: 16
+            }
+        });
+
+        game.settings.register('frinny', 'compressPayloads', {
+            name: game.i18n.localize('frinny.settings.compressPayloads.name'),
+            hint: game.i18n.localize('frinny.settings.compressPayloads.hint'),
+            scope: 'world',
+            config: true,
+            type: Boolean,
+            default: false
+        });
+
         game.settings.register('frinny', 'maxMessages', {
             name: game.i18n.localize('frinny.settings.maxMessages.name'),
             hint: game.i18n.localize('frinny.settings.maxMessages.hint'),
@@ -212,6 +316,8 @@ Hooks.on('renderChatMessage', (message, html, data) => {
         
         if (messageType === 'error') {
             imgSrc = "modules/frinny/assets/images/confused.webp";
+        } else if (messageType === 'tactical') {
+            imgSrc = "modules/frinny/assets/images/thinking.webp";
         } else if (messageType === 'success') {
             imgSrc = "modules/frinny/assets/images/happy.webp";
         } else {
@@ -246,6 +352,14 @@ Hooks.on('renderChatMessage', (message, html, data) => {
     }
 });
 
+// Add level planner and change log buttons to character sheets the user owns
+Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+    const actor = sheet.actor;
+    if (!game.frinny || actor?.type !== 'character' || game.system.id !== 'pf2e' || !actor.isOwner) return;
+
+    buttons.unshift(...game.frinny.getCharacterToolButtons(actor));
+});
+
 // Handle new character sheets
 Hooks.on('renderActorSheet', async (app, html, data) => {
     logHookExecution('renderActorSheet', {
@@ -271,8 +385,16 @@ Hooks.on('renderActorSheet', async (app, html, data) => {
         return;
     }
 
-    // Check if this is a new character
-    if (isNewCharacter(app.actor) && game.frinny) {
+    // Check if this is a new character, or one whose creation wasn't finished
+    if ((isNewCharacter(app.actor) || isCreationInProgress(app.actor)) && game.frinny) {
+        // Sheets re-render on every change, only start or resume once per session
+        if (game.frinny.creationActorId === app.actor.id) {
+            logHookSkip('renderActorSheet', 'Character creation already started this session', {
+                actorId: app.actor.id
+            });
+            return;
+        }
+
         logHookExecution('characterCreation', {
             actor: app.actor.name,
             actorId: app.actor.id,
@@ -295,28 +417,29 @@ Hooks.on('renderActorSheet', async (app, html, data) => {
                 itemCount: characterData.items.length
             });
 
-            // Store the context in user flags to track state
-            await game.user.setFlag('frinny', 'characterCreation', {
-                actorId: app.actor.id,
-                userId: game.user.id,
-                step: 'start',
-                timestamp: Date.now()
-            });
+            // Store the progress in user flags so it can be resumed
+            const { state, resumed } = await startCreation(app.actor);
 
-            logStateChange('Character Creation', 'flags set', {
-                actorId: app.actor.id,
-                userId: game.user.id,
-                step: 'start'
-            });
+            // Show Frinny's window with the creation wizard
+            await game.frinny.showCreationWizard(app.actor);
 
-            // Notify backend about new character creation and get response
-            const response = await game.frinny.agentManager.notifyCharacterCreation(characterData);
+            if (resumed) {
+                logStateChange('Character Creation', 'resumed', {
+                    actorId: app.actor.id,
+                    step: state.step
+                });
+                return;
+            }
 
-            // Show Frinny's window
-            await game.frinny.render(true);
+            // Notify backend about new character creation and get response
+            const response = await game.frinny.agentManager.notifyCharacterCreation({
+                ...characterData,
+                step: state.step,
+                steps: Object.values(CreationStep)
+            });
 
             // Add response to private chat
-            await game.frinny.addResponseMessage(response.content, response.messageId);
+            await game.frinny.addAgentResponse(response, getThreadId(app.actor));
 
             logStateChange('Character Creation', 'process completed', {
                 actorId: app.actor.id,
@@ -335,6 +458,42 @@ Hooks.on('renderActorSheet', async (app, html, data) => {
     }
 });
 
+// Advance character creation as ancestry, heritage, background, class and feats are added
+Hooks.on('createItem', async (item, options, userId) => {
+    const actor = item.parent;
+    if (userId !== game.user.id || !actor || !game.frinny || !isCreationInProgress(actor)) return;
+
+    const step = getStepForItem(item);
+    if (!step) return;
+
+    logHookExecution('createItem', {
+        actorId: actor.id,
+        itemType: item.type,
+        step
+    });
+
+    // The feats step needs both the ancestry and the class feat
+    if (step === CreationStep.FEATS && !detectCompletedSteps(actor).includes(CreationStep.FEATS)) {
+        logHookSkip('createItem', 'Starting feats not all chosen yet', { actorId: actor.id });
+        return;
+    }
+
+    await game.frinny.advanceCreationStep(actor, step);
+});
+
+// Advance character creation once the level 1 ability boosts are chosen
+Hooks.on('updateActor', async (actor, changes, options, userId) => {
+    if (userId !== game.user.id || !game.frinny || !isCreationInProgress(actor)) return;
+    if (!foundry.utils.hasProperty(changes, 'system.build.attributes.boosts')) return;
+
+    if (!detectCompletedSteps(actor).includes(CreationStep.BOOSTS)) {
+        logHookSkip('updateActor', 'Ability boosts not all chosen yet', { actorId: actor.id });
+        return;
+    }
+
+    await game.frinny.advanceCreationStep(actor, CreationStep.BOOSTS);
+});
+
 // Handle combat start and turns
 Hooks.on('updateCombat', async (combat, changed, options, userId) => {
     logHookExecution('updateCombat', {
@@ -361,6 +520,9 @@ Hooks.on('updateCombat', async (combat, changed, options, userId) => {
 
         if (game.frinny) {
             try {
+                // Note the character's resources so the debrief can tell what was spent
+                await startEncounter(combat, userCharacter);
+
                 // Gather combat state data using utility function
                 const combatData = gatherCombatStateData(combat, userCharacter);
                 
@@ -373,7 +535,7 @@ Hooks.on('updateCombat', async (combat, changed, options, userId) => {
                 }
 
                 // Add response to private chat
-                await game.frinny.addResponseMessage(response.content, response.messageId);
+                await game.frinny.addAgentResponse(response, getThreadId(userCharacter));
             } catch (error) {
                 logError('combat start processing', error);
                 // Add error message to private chat
@@ -399,11 +561,14 @@ Hooks.on('updateCombat', async (combat, changed, options, userId) => {
 
     if (game.frinny) {
         try {
-            // Gather combat state data using utility functions
+            // Start tracking if the character joined after the combat started
+            await startEncounter(combat, userCharacter);
+
+            // Gather combat state data using utility functions, with the sides as IDs into the tactical snapshot
             const combatData = {
                 ...gatherCombatStateData(combat, userCharacter),
-                enemies: getVisibleEnemies(combat, userCharacter),
-                allies: getVisibleAllies(combat, userCharacter)
+                enemyIds: getVisibleEnemyIds(combat, userCharacter),
+                allyIds: getVisibleAllyIds(combat, userCharacter)
             };
 
             // Notify backend about combat turn and get response
@@ -415,7 +580,7 @@ Hooks.on('updateCombat', async (combat, changed, options, userId) => {
             }
 
             // Add response to private chat
-            await game.frinny.addResponseMessage(response.content, response.messageId);
+            await game.frinny.addAgentResponse(response, getThreadId(userCharacter));
         } catch (error) {
             logError('combat turn processing', error);
             // Add error message to private chat
@@ -426,6 +591,77 @@ Hooks.on('updateCombat', async (combat, changed, options, userId) => {
     }
 });
 
+// Debrief the user's character when combat ends
+Hooks.on('deleteCombat', async (combat, options, userId) => {
+    logHookExecution('deleteCombat', {
+        combatId: combat.id,
+        round: combat.round,
+        userId: userId
+    });
+
+    if (!game.frinny) {
+        logHookSkip('deleteCombat', 'game.frinny not initialized');
+        return;
+    }
+
+    const userCharacter = game.user.character;
+    const encounter = getActiveEncounter(combat.id);
+    const participated = combat.combatants.some(c => c.actor?.id === userCharacter?.id);
+
+    // Combats that never started or didn't involve the character have nothing to debrief
+    if (!combat.started || !participated || !canModifyCharacter(userCharacter)) {
+        if (encounter) await clearActiveEncounter();
+        logHookSkip('deleteCombat', 'User character did not fight in this combat');
+        return;
+    }
+
+    await game.frinny.debriefEncounter(combat, userCharacter, encounter);
+});
+
+// Record conditions the user's character suffers during combat
+Hooks.on('createItem', async (item) => {
+    if (item.type !== 'condition' || item.parent?.id !== game.user.character?.id) return;
+    await recordEncounterCondition(item);
+});
+
+// Remember the level before it changes so jumps of several levels can be detected.
+// Update options travel with the update, so this also reaches the player's client when the GM levels them.
+Hooks.on('preUpdateActor', (actor, changes, options) => {
+    if (actor.type !== 'character' || !getLevelChange(changes)) return;
+    options.frinnyPreviousLevel = actor.system.details.level.value;
+});
+
+// Advise the GM on NPC turns when GM tactical mode is on
+Hooks.on('updateCombat', async (combat, changed) => {
+    if (!game.frinny || !game.user.isGM || !game.settings.get('frinny', 'gmTacticalMode')) return;
+    if (!('turn' in changed || 'round' in changed)) return;
+
+    // With several GMs connected, only the active one asks
+    if (!game.users.activeGM?.isSelf) {
+        logHookSkip('npcTurn', 'Not the active GM');
+        return;
+    }
+
+    if (!isNpcTurn(combat)) {
+        logHookSkip('npcTurn', 'Not an NPC\'s turn');
+        return;
+    }
+
+    logHookExecution('npcTurn', {
+        combatant: combat.combatant.name,
+        round: combat.round,
+        turn: combat.turn
+    });
+
+    try {
+        const response = await game.frinny.agentManager.notifyNpcTurn(gatherNpcTurnData(combat));
+        await game.frinny.whisperTacticalAdvice(combat.combatant, response);
+    } catch (error) {
+        logError('NPC turn processing', error);
+        ui.notifications.error(game.i18n.localize('frinny.error.failedResponse'));
+    }
+});
+
 // Handle level up events
 Hooks.on('updateActor', async (actor, changes, options, userId) => {
     logHookExecution('updateActor', {
@@ -450,16 +686,57 @@ Hooks.on('updateActor', async (actor, changes, options, userId) => {
         return;
     }
 
-    // Get the previous level from flags or from the current actor state
-    const previousLevel = await actor.getFlag('frinny', 'lastLevel') || actor.system.details.level.value - 1;
+    // Get the previous level from before the update, falling back to flags or the current actor state
+    const previousLevel = options.frinnyPreviousLevel ??
+        (actor.getFlag('frinny', 'lastLevel') || actor.system.details.level.value - 1);
     logStateChange('character', 'Level change detected', {
         previousLevel,
         newLevel: levelChange,
         actor: actor.name
     });
     
+    // Levels can be lost, e.g. to undo a mistake, and their feats then need removing
+    if (hasLevelDecreased(levelChange, previousLevel)) {
+        await actor.setFlag('frinny', 'lastLevel', levelChange);
+        logStateChange('flags', 'Stored decreased level');
+
+        if (!game.frinny) {
+            logHookSkip('levelDown', 'game.frinny not initialized');
+            return;
+        }
+
+        logHookExecution('levelDown', {
+            name: actor.name,
+            previousLevel,
+            newLevel: levelChange
+        });
+
+        try {
+            const response = await game.frinny.agentManager.notifyRetrain(gatherRetrainData(actor, {
+                reason: 'level_down',
+                previousLevel,
+                newLevel: levelChange,
+                // What was chosen at the levels that were lost
+                removedLevels: getIntermediateLevels(levelChange, previousLevel)
+                    .map(level => gatherLevelChoices(actor, level))
+            }));
+
+            await game.frinny.render(true);
+            await game.frinny.addAgentResponse(response, getThreadId(actor));
+            await saveBuildSnapshot(actor);
+        } catch (error) {
+            logError('level down processing', error);
+            await game.frinny.addErrorMessage();
+        }
+        return;
+    }
+
     // Only proceed if level has increased
     if (!hasLevelIncreased(levelChange, previousLevel)) {
+        // Keep the stored level consistent even when there's nothing to announce
+        if (actor.getFlag('frinny', 'lastLevel') !== levelChange) {
+            await actor.setFlag('frinny', 'lastLevel', levelChange);
+        }
         logHookSkip('updateActor', 'Level has not increased');
         return;
     }
@@ -472,21 +749,56 @@ Hooks.on('updateActor', async (actor, changes, options, userId) => {
         });
 
         try {
-            // Gather level up data using utility function
-            const levelUpData = gatherLevelUpData(actor, previousLevel, levelChange);
+            // A GM may raise a character several levels at once, walk through each one in order
+            const levels = getIntermediateLevels(previousLevel, levelChange);
+            if (levels.length > 1) {
+                logStateChange('character', 'Multi-level jump detected', {
+                    previousLevel,
+                    newLevel: levelChange,
+                    levels
+                });
+            }
 
             // Store the new level in flags
             await actor.setFlag('frinny', 'lastLevel', levelChange);
             logStateChange('flags', 'Stored new level');
 
-            // Notify backend about level up and get response
-            const response = await game.frinny.agentManager.notifyLevelUp(levelUpData);
-
             // Show Frinny's window
             await game.frinny.render(true);
 
-            // Add response to private chat
-            await game.frinny.addResponseMessage(response.content, response.messageId);
+            const plan = getLevelUpPlan(actor);
+            for (const [index, level] of levels.entries()) {
+                // Gather level up data using utility function
+                const levelUpData = gatherLevelUpData(actor, level - 1, level);
+
+                if (levels.length > 1) {
+                    levelUpData.catchUp = {
+                        fromLevel: previousLevel,
+                        toLevel: levelChange,
+                        step: index + 1,
+                        steps: levels.length
+                    };
+                }
+
+                // Let Frinny know about a plan made ahead of time for this level
+                if (plan?.targetLevel === level) {
+                    levelUpData.plannedActions = plan.actions;
+                }
+
+                // Notify backend about level up and get response
+                const response = await game.frinny.agentManager.notifyLevelUp(levelUpData);
+
+                // Add response to private chat
+                await game.frinny.addAgentResponse(response, getThreadId(actor));
+            }
+
+            // Offer to apply the plan now that the character has reached its level
+            if (plan && levels.includes(plan.targetLevel)) {
+                game.frinny.openLevelUpPlan(actor);
+            }
+
+            // Feats and skills gained by levelling aren't retraining
+            await saveBuildSnapshot(actor);
         } catch (error) {
             logError('level up processing', error);
             // Add error message to private chat
@@ -495,4 +807,89 @@ Hooks.on('updateActor', async (actor, changes, options, userId) => {
     } else {
         logHookSkip('levelUp', 'game.frinny not initialized');
     }
-}); 
\ No newline at end of file
+}); 
+
+/**
+ * Compare the character's build against the last snapshot and tell Frinny about a retrain
+ * @param {Actor} actor - The character actor
+ */
+async function checkForRetraining(actor) {
+    const previous = getBuildSnapshot(actor);
+
+    // Nothing to compare against the first time round
+    if (!previous) {
+        await saveBuildSnapshot(actor);
+        return;
+    }
+
+    const { diff, retrain, holdSnapshot, pendingSince } = evaluateBuildChange(previous, gatherBuildSnapshot(actor));
+
+    // Something was only given up, wait for its replacement before moving the snapshot on
+    if (holdSnapshot) {
+        await holdBuildSnapshot(actor, pendingSince);
+        logHookSkip('retrain', 'Build lost something, waiting for a replacement', { actorId: actor.id });
+        return;
+    }
+
+    await saveBuildSnapshot(actor);
+    if (!retrain) {
+        logHookSkip('retrain', 'Build changed without a swap', { actorId: actor.id });
+        return;
+    }
+
+    if (!game.frinny) {
+        logHookSkip('retrain', 'game.frinny not initialized');
+        return;
+    }
+
+    logHookExecution('retrain', {
+        name: actor.name,
+        removedFeats: diff.removedFeats.map(f => f.name),
+        addedFeats: diff.addedFeats.map(f => f.name),
+        skillChanges: diff.skillChanges
+    });
+
+    try {
+        const response = await game.frinny.agentManager.notifyRetrain(gatherRetrainData(actor, {
+            reason: 'retrain',
+            ...diff
+        }));
+
+        if (!game.frinny.rendered) {
+            await game.frinny.render(true);
+        }
+        await game.frinny.addAgentResponse(response, getThreadId(actor));
+    } catch (error) {
+        logError('retrain processing', error);
+        await game.frinny.addErrorMessage();
+    }
+}
+
+// Debounced retrain checks per actor ID, so each actor's burst of changes is checked once it settles
+const retrainChecks = new Map();
+
+/**
+ * Queue a retraining check for the user's character, outside of character creation
+ * @param {Actor} actor - The actor that changed
+ */
+function queueRetrainCheck(actor) {
+    if (!actor || !isValidLevelUp(actor) || isCreationInProgress(actor)) return;
+
+    if (!retrainChecks.has(actor.id)) {
+        retrainChecks.set(actor.id, foundry.utils.debounce(checkForRetraining, 2000));
+    }
+    retrainChecks.get(actor.id)(actor);
+}
+
+// Handle feat and skill swaps
+Hooks.on('createItem', (item) => {
+    if (item.type === 'feat') queueRetrainCheck(item.parent);
+});
+
+Hooks.on('deleteItem', (item) => {
+    if (item.type === 'feat') queueRetrainCheck(item.parent);
+});
+
+Hooks.on('updateActor', (actor, changes) => {
+    if (foundry.utils.hasProperty(changes, 'system.skills')) queueRetrainCheck(actor);
+});
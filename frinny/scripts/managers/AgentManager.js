@@ -3,7 +3,25 @@
  */
 
 import { logBackendCommunication, logError } from '../utils/logUtils.js';
-import SkillProficiencyManager from '../utils/skill-proficiency-manager.js';
+import { actionsFromCharacterUpdate } from '../utils/actionUtils.js';
+import { SocketTransport } from './SocketTransport.js';
+import { HttpTransport } from './HttpTransport.js';
+import { OutboundQueue } from './OutboundQueue.js';
+import { RequestRegistry } from './RequestRegistry.js';
+import { SnapshotTracker } from './SnapshotTracker.js';
+import { projectChatMessage, serializePayload } from '../utils/serializationUtils.js';
+import { buildConversationHistory } from '../utils/summaryUtils.js';
+
+/**
+ * Error used to reject a request the user cancelled
+ */
+export class RequestCancelledError extends Error {
+    constructor(requestId) {
+        super('Request cancelled by user');
+        this.name = 'RequestCancelledError';
+        this.requestId = requestId;
+    }
+}
 
 export class AgentManager {
     constructor() {
@@ -15,6 +33,8 @@ export class AgentManager {
         // AWS API Gateway HTTP URLs typically look like:
         // https://xxxxx.execute-api.region.amazonaws.com/stage
         this.backendUrl = game.settings.get('frinny', 'backendUrl') || 'https://frinny.net';
+        // The HTTP API takes over while the WebSocket is down, unless the world turned that off
+        this.httpFallback = game.settings.get('frinny', 'httpFallback');
         
         // WebSocket endpoint - can be configured for AWS API Gateway
         // AWS API Gateway WebSocket URLs typically look like:
@@ -22,13 +42,29 @@ export class AgentManager {
         this.wsUrl = game.settings.get('frinny', 'wsUrl') || 'wss://frinny.net/ws';
         
         this.typingCallback = null; // Callback for typing status
+        this.queuedResponseCallback = null; // Callback for queued requests replayed without a live caller
+        this.proposedActionsCallback = null; // Callback for character changes awaiting the player's approval
         this.userId = game.user.id; // Store the user's ID
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
-        this.pendingRequests = new Map(); // Store both resolve and reject callbacks
-        // All of our events are set in pendingRequests and then we get the response from them. 
+        this.pendingRequests = new RequestRegistry(this.userId); // Callbacks and metadata for in-flight requests
+        this.snapshots = new SnapshotTracker(); // What the backend last received for each actor and combat
+        // All of our events are registered in pendingRequests and then we get the response from them. 
         this.messageHandlers = new Map(); // Store message handlers by type
         
+        // Transports in order of preference, the first available one is used for each request
+        this.transports = [
+            new SocketTransport(this),
+            new HttpTransport(this)
+        ];
+        
+        // Messages that couldn't be sent, replayed in order once a transport is available
+        this.outboundQueue = new OutboundQueue();
+        this.outboundQueue.load();
+        this.queuedCallbacks = new Map(); // Callers still waiting on queued requests in this session
+        this.isReplayingQueue = false;
+        window.addEventListener('online', () => this.replayQueue());
+        
         // Start monitoring pending requests
         this._startRequestMonitoring();
         
@@ -54,6 +90,11 @@ export class AgentManager {
             this._handleSocketResponse(data.request_id, data);
         });
         
+        // Partial responses streamed ahead of the final query_response
+        this.messageHandlers.set('query_response_chunk', (data) => {
+            this._handleSocketChunk(data.request_id, data);
+        });
+        
         this.messageHandlers.set('character_creation_response', (data) => {
             this._handleSocketResponse(data.request_id, data);
         });
@@ -66,22 +107,35 @@ export class AgentManager {
             this._handleSocketResponse(data.request_id, data);
         });
 
-        // Handle character update events from server
+        // Later events are answered with a reply named after the event
+        [
+            'character_creation_step_response',
+            'level_up_plan_response',
+            'retrain_response',
+            'npc_turn_response',
+            'combat_end_response',
+            'summarize_response',
+            'action_result_response'
+        ].forEach(type => {
+            this.messageHandlers.set(type, (data) => {
+                this._handleSocketResponse(data.request_id, data);
+            });
+        });
+
+        // Handle character update events from server, these are only proposals until the player approves them
         this.messageHandlers.set('character_update', (data) => {
-            // Check if we have skill updates
-            if (data.updates?.skills) {
-                const actor = game.actors.get(data.actorId);
-                if (actor) {
-                    // Process each skill update
-                    Object.entries(data.updates.skills).forEach(([skillName, proficiency]) => {
-                        SkillProficiencyManager.modifySkillProficiency(data.actorId,skillName,proficiency);
-                    });
-                } else {
-                    logError('Character update', new Error('Actor not found'), {
-                        actorId: data.actorId,
-                        messageId: data.message_id
-                    });
-                }
+            const actor = game.actors.get(data.actorId);
+            if (!actor) {
+                logError('Character update', new Error('Actor not found'), {
+                    actorId: data.actorId,
+                    messageId: data.message_id
+                });
+                return;
+            }
+
+            const actions = actionsFromCharacterUpdate(data);
+            if (actions.length && this.proposedActionsCallback) {
+                this.proposedActionsCallback(data, actions);
             }
         });
         
@@ -92,8 +146,10 @@ export class AgentManager {
             });
 
             if (error.request_id) {
-                // Handle error for specific request
-                this._handleSocketError(error.request_id, new Error(error.message));
+                // Handle error for specific request, keeping the code so callers can react to it
+                const requestError = new Error(error.message);
+                requestError.code = error.code;
+                this._handleSocketError(error.request_id, requestError);
             } else {
                 // Handle global error - reject all pending requests
                 for (const [requestId, { reject }] of this.pendingRequests) {
@@ -111,17 +167,16 @@ export class AgentManager {
     _startRequestMonitoring() {
         // Check every 10 seconds for stale requests
         setInterval(() => {
-            const now = Date.now();
-            const staleThreshold = 25000; // Consider requests stale after 25s (before timeout)
-
-            for (const [requestId, request] of this.pendingRequests) {
-                const requestTime = parseInt(requestId); // Since we use timestamp as ID
-                const elapsed = now - requestTime;
+            const inFlight = this.pendingRequests.list();
 
-                if (elapsed > staleThreshold) {
+            for (const request of inFlight) {
+                // Consider requests stale once 80% of their timeout has passed without activity
+                if (request.idle > request.timeout * 0.8) {
                     logError('Stale request detected', new Error('Request approaching timeout'), {
-                        requestId,
-                        elapsed: `${Math.round(elapsed / 1000)}s`,
+                        requestId: request.requestId,
+                        action: request.action,
+                        elapsed: `${Math.round(request.elapsed / 1000)}s`,
+                        timeout: `${Math.round(request.timeout / 1000)}s`,
                         pendingRequestCount: this.pendingRequests.size,
                         isConnected: this.isConnected
                     });
@@ -129,16 +184,78 @@ export class AgentManager {
             }
 
             // Log general request state if any pending
-            if (this.pendingRequests.size > 0) {
+            if (inFlight.length > 0) {
                 logBackendCommunication('Pending requests status', true, {
-                    pendingCount: this.pendingRequests.size,
+                    pendingCount: inFlight.length,
                     isConnected: this.isConnected,
-                    requestIds: Array.from(this.pendingRequests.keys())
+                    requests: inFlight
                 });
             }
         }, 10000);
     }
 
+    /**
+     * Register an additional transport
+     * @param {Object} transport - Object with name, respondsInline, isAvailable() and send(data)
+     * @param {number} index - Position in the preference order, defaults to last
+     */
+    registerTransport(transport, index = this.transports.length) {
+        this.transports = this.transports.filter(t => t.name !== transport.name);
+        this.transports.splice(index, 0, transport);
+    }
+
+    /**
+     * Pick the first transport that is currently able to send
+     * @returns {Object|null} The transport to use, or null if none is available
+     * @private
+     */
+    _selectTransport() {
+        return this.transports.find(transport => transport.isAvailable()) || null;
+    }
+
+    /**
+     * Route an incoming backend message to its handler
+     * @param {Object} data - The parsed message
+     * @private
+     */
+    _dispatchMessage(data) {
+        // API Gateway typically uses 'action' field
+        const messageType = data.action;
+
+        if (messageType && this.messageHandlers.has(messageType)) {
+            this.messageHandlers.get(messageType)(data);
+        } else {
+            logError('Backend message', new Error('Unknown message type'), {
+                type: messageType,
+                data: data
+            });
+        }
+    }
+
+    /**
+     * Reject pending requests that were sent over a given transport
+     * @param {string} transportName - The transport whose requests should fail
+     * @param {Error} error - The rejection reason
+     * @private
+     */
+    _rejectPendingForTransport(transportName, error) {
+        // Mark the error so callers can queue the request for replay
+        error.connectionLost = true;
+        for (const [requestId, { reject, transport }] of this.pendingRequests) {
+            if (transport === transportName) {
+                reject(error);
+            }
+        }
+    }
+
+    /**
+     * Get the requests currently waiting on a response, for diagnostics
+     * @returns {Array<Object>} Request ID, action, transport, payload size and timing for each request
+     */
+    getInFlightRequests() {
+        return this.pendingRequests.list();
+    }
+
     /**
      * Set callback for typing status changes
      * @param {Function} callback - Function to call when typing status changes
@@ -147,6 +264,23 @@ export class AgentManager {
         this.typingCallback = callback;
     }
 
+    /**
+     * Set callback for character changes proposed by the backend
+     * @param {Function} callback - Called with (data, actions) for each character_update message
+     */
+    onProposedActions(callback) {
+        this.proposedActionsCallback = callback;
+    }
+
+    /**
+     * Set callback for queued requests that are replayed after a reload,
+     * when the original caller is no longer waiting on them
+     * @param {Function} callback - Called with (entry, response, error)
+     */
+    onQueuedResponse(callback) {
+        this.queuedResponseCallback = callback;
+    }
+
     /**
      * Initialize the WebSocket connection
      * @returns {Promise<void>} Promise that resolves when connection is established
@@ -238,10 +372,16 @@ export class AgentManager {
                     });
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
+
+                    // A new connection may reach a backend that never saw our snapshots
+                    this.snapshots.invalidate();
                     
                     // Resolve the connection promise
                     resolve();
                     this.connectionPromise = null;
+                    
+                    // Send anything queued while we were offline
+                    this.replayQueue();
                 };
 
                 this._onClose = (event) => {
@@ -252,11 +392,8 @@ export class AgentManager {
                     });
                     this.isConnected = false;
 
-                    // Reject all pending requests on disconnect
-                    for (const [requestId, { reject }] of this.pendingRequests) {
-                        reject(new Error('WebSocket disconnected'));
-                    }
-                    this.pendingRequests.clear();
+                    // Reject pending socket requests on disconnect, HTTP requests are unaffected
+                    this._rejectPendingForTransport('websocket', new Error('WebSocket disconnected'));
                     
                     // If connection promise is still pending, reject it
                     if (this.connectionPromise) {
@@ -273,11 +410,8 @@ export class AgentManager {
                         maxAttempts: this.maxReconnectAttempts
                     });
 
-                    // Reject all pending requests on connection error
-                    for (const [requestId, { reject }] of this.pendingRequests) {
-                        reject(new Error('WebSocket connection error'));
-                    }
-                    this.pendingRequests.clear();
+                    // Reject pending socket requests on connection error
+                    this._rejectPendingForTransport('websocket', new Error('WebSocket connection error'));
                     
                     // If connection promise is still pending, reject it
                     if (this.connectionPromise) {
@@ -292,18 +426,7 @@ export class AgentManager {
                         const data = JSON.parse(event.data);
                         
                         // Route message to appropriate handler based on type or action
-                        // API Gateway typically uses 'action' field
-                        const messageType = data.action;
-                        
-                        if (messageType && this.messageHandlers.has(messageType)) {
-                            this.messageHandlers.get(messageType)(data);
-                        } else {
-                            logError('WebSocket message', new Error('Unknown message type'), {
-                                type: messageType,
-                                data: data,
-                                event: event
-                            });
-                        }
+                        this._dispatchMessage(data);
                     } catch (error) {
                         logError('WebSocket message parsing', error, {
                             data: event.data
@@ -334,16 +457,26 @@ export class AgentManager {
     /**
      * Send a message and wait for response with proper error handling and cleanup
      * @param {Object} data - The data to send
+     * @param {string} requestId - The ID used to correlate the response
+     * @param {Object} options - Request options
+     * @param {Function} options.onChunk - Called with each streamed chunk before the final response
+     * @param {number} options.timeout - Response timeout in ms, defaults to the action's timeout
      * @returns {Promise<Object>} The server's response
      * @private
      */
-    async _emitAndWait(data, requestId) {
-        // Validate connection state
-        if (!this.isConnected || !this.socket) {
-            throw new Error('WebSocket not connected');
+    async _emitAndWait(data, requestId, { onChunk = null, timeout = null } = {}) {
+        // Pick the transport for this request
+        const transport = this._selectTransport();
+        if (!transport) {
+            throw new Error('No backend transport available');
         }
+
+        // Events carry their specific action inside the payload
+        const action = data.payload?.action || data.action;
+        const timeoutMs = timeout ?? this.pendingRequests.timeoutFor(action);
+        const payloadSize = new TextEncoder().encode(JSON.stringify(data)).length;
         
-        console.log('sending message', data.action, data);
+        console.log('sending message', data.action, transport.name, data);
 
         return new Promise((resolve, reject) => {
             let timeoutId;
@@ -356,8 +489,16 @@ export class AgentManager {
                 this.pendingRequests.delete(requestId);
             };
 
-            // Store both callbacks and cleanup function
-            this.pendingRequests.set(requestId, {
+            // (Re)start the response timeout, streamed chunks push the deadline back
+            const armTimeout = () => {
+                if (timeoutId) {
+                    clearTimeout(timeoutId);
+                }
+                timeoutId = setTimeout(onTimeout, timeoutMs);
+            };
+
+            // Register callbacks, cleanup function and request metadata
+            this.pendingRequests.register(requestId, {
                 resolve: (data) => {
                     cleanup();
                     resolve(data);
@@ -366,20 +507,30 @@ export class AgentManager {
                     cleanup();
                     reject(error);
                 },
-                cleanup
+                cleanup,
+                onChunk,
+                touch: () => {
+                    this.pendingRequests.touch(requestId);
+                    armTimeout();
+                },
+                action,
+                payloadSize,
+                timeout: timeoutMs,
+                transport: transport.name
             });
 
-            // Set timeout
-            timeoutId = setTimeout(() => {
+            // Timeout handler
+            const onTimeout = () => {
                 if (this.pendingRequests.has(requestId)) {
                     const { reject, cleanup } = this.pendingRequests.get(requestId);
-                    const error = new Error('WebSocket response timeout');
+                    const error = new Error(`Backend response timeout (${transport.name})`);
                     
                     // Log before cleanup to ensure we have the request data
-                    logError('WebSocket timeout', error, {
+                    logError('Backend timeout', error, {
                         requestId,
                         data,
-                        elapsed: '30s',
+                        transport: transport.name,
+                        elapsed: `${Math.round(timeoutMs / 1000)}s`,
                         pendingRequestCount: this.pendingRequests.size,
                         isConnected: this.isConnected
                     });
@@ -391,41 +542,59 @@ export class AgentManager {
                     reject(error);
                 } else {
                     // Log if somehow the request was already removed
-                    logError('WebSocket timeout for missing request', new Error('Request not found'), {
+                    logError('Backend timeout for missing request', new Error('Request not found'), {
                         requestId,
                         data,
-                        elapsed: '30s',
+                        transport: transport.name,
+                        elapsed: `${Math.round(timeoutMs / 1000)}s`,
                         pendingRequestCount: this.pendingRequests.size,
                         isConnected: this.isConnected
                     });
                 }
-            }, 30000);
+            };
+            armTimeout();
 
-            try {
-                // Send the message
-                this.socket.send(JSON.stringify(data));
+            // Send the message
+            Promise.resolve()
+                .then(() => transport.send(data))
+                .then((messages) => {
+                    // Log successful send
+                    logBackendCommunication(`${transport.name} send`, true, {
+                        requestId,
+                        data,
+                        userId: this.userId
+                    });
 
-                // Log successful send
-                logBackendCommunication('WebSocket send', true, {
-                    requestId,
-                    data,
-                    userId: this.userId
-                });
+                    // Transports that answer inline hand back the same messages the socket would push
+                    for (const message of messages) {
+                        if (message.action) {
+                            this._dispatchMessage(message);
+                        } else {
+                            this._handleSocketResponse(message.request_id || requestId, message);
+                        }
+                    }
 
-            } catch (error) {
-                // Handle any synchronous errors during send
-                const wrappedError = new Error(`WebSocket send failed: ${error.message}`);
-                logError('WebSocket send', wrappedError, {
-                    requestId,
-                    data,
-                    originalError: error
-                });
+                    if (transport.respondsInline && this.pendingRequests.has(requestId)) {
+                        const { reject } = this.pendingRequests.get(requestId);
+                        reject(new Error(`No response received over ${transport.name}`));
+                    }
+                })
+                .catch((error) => {
+                    // Handle any errors during send
+                    const wrappedError = new Error(`${transport.name} send failed: ${error.message}`);
+                    // fetch rejects with a TypeError when the network is unreachable
+                    wrappedError.connectionLost = error instanceof TypeError;
+                    logError(`${transport.name} send`, wrappedError, {
+                        requestId,
+                        data,
+                        originalError: error
+                    });
 
-                if (this.pendingRequests.has(requestId)) {
-                    const { reject } = this.pendingRequests.get(requestId);
-                    reject(wrappedError);
-                }
-            }
+                    if (this.pendingRequests.has(requestId)) {
+                        const { reject } = this.pendingRequests.get(requestId);
+                        reject(wrappedError);
+                    }
+                });
         });
     }
 
@@ -444,6 +613,27 @@ export class AgentManager {
         }
     }
 
+    /**
+     * Handle a streamed chunk of a response
+     * @param {string} requestId - The ID of the request
+     * @param {Object} data - The chunk data, with the new text in `content`
+     * @private
+     */
+    _handleSocketChunk(requestId, data) {
+        if (!this.pendingRequests.has(requestId)) return;
+
+        const { onChunk, touch } = this.pendingRequests.get(requestId);
+        touch();
+
+        if (onChunk) {
+            try {
+                onChunk(data);
+            } catch (error) {
+                logError('handling response chunk', error, { requestId });
+            }
+        }
+    }
+
     /**
      * Handle WebSocket error
      * @param {string} requestId - The ID of the request
@@ -461,18 +651,19 @@ export class AgentManager {
      * Handle a query from the private chat window
      * @param {string} userId - The user's ID
      * @param {string} content - The message content
+     * @param {Object} options - Request options
+     * @param {Function} options.onChunk - Called with each streamed chunk of the response
+     * @param {Function} options.onRequestId - Called with the request ID so the query can be cancelled
+     * @param {Array<Object>} options.history - Earlier messages of the conversation thread
+     * @param {string|null} options.actorId - The actor the thread is about, null for the general thread
+     * @param {string|null} options.summary - Summary of the messages before the history
      * @returns {Promise<Object>} The AI's response
      */
-    async handlePrivateQuery(userId, content) {
+    async handlePrivateQuery(userId, content, options = {}) {
         try {
-            // Get conversation history from user flags
-            const history = await game.users.get(userId)?.getFlag("frinny", "messages") || [];
-            const conversationContext = history
-                .map(msg => ({
-                    role: msg.type === 'user' ? 'user' : 'assistant',
-                    content: msg.content
-                }))
-                .slice(-10); // Get last 10 messages for private chat context
+            const { history = [], actorId = null, summary = null, ...queryOptions } = options;
+            // The most recent messages, after the summary of anything earlier
+            const conversationContext = buildConversationHistory(history, summary);
 
             // Add current message
             conversationContext.push({
@@ -480,17 +671,15 @@ export class AgentManager {
                 content: content
             });
 
-            // Get the actorId from the user's character
-            const actorId = game.user.character?.id || null;
-
             const payload = {
                 content,
                 actorId,
                 conversation_history: conversationContext,
-                is_public_chat: false
+                is_public_chat: false,
+                stream: !!queryOptions.onChunk
             };
 
-            return this._sendQuery(payload);
+            return this._sendQuery(payload, queryOptions);
         } catch (error) {
             logError('private query handling', error);
             throw error;
@@ -507,21 +696,10 @@ export class AgentManager {
         try {
             const recentMessages = game.messages.contents;
             
-            // Get the last 10 general chat messages as raw data
+            // Get the last 10 general chat messages, as text with their roll results
             const conversation_history = recentMessages
                 .slice(-10)
-                .map(message => {
-                    // Return the message in its raw form, but ensure it's serializable
-                    // by converting any Roll objects to their serialized form
-                    const messageData = message.toObject();
-                    
-                    // If roll exists but isn't serialized, serialize it
-                    if (message.roll && typeof messageData.roll !== 'string') {
-                        messageData.roll = message.roll.toJSON();
-                    }
-                    
-                    return messageData;
-                });
+                .map(message => projectChatMessage(message));
 
             // Create current speaker data structure
             const currentSpeaker = {
@@ -551,10 +729,20 @@ export class AgentManager {
      * Send a message to the backend with appropriate formatting based on message type
      * @param {string} type - Message type ('query' or 'event')
      * @param {Object} data - The data to send
+     * @param {Object} options - Request options passed on to _emitAndWait
+     * @param {boolean} options.queueable - Whether to queue the message if it can't be sent, defaults to true
+     * @param {Function} options.onQueued - Called with the request ID when the message is queued
+     * @param {string} options.clientMessageId - UI message this request belongs to, kept with queued entries
+     * @param {number} options.timeout - Response timeout in ms, overriding the per-action default
+     * @param {Function} options.onRequestId - Called with the request ID before the message is sent, e.g. to allow cancelling it
+     * @param {boolean} options.fullSnapshot - Send actor and combat snapshots in full rather than as deltas
      * @returns {Promise<Object>} The server's response
      * @private
      */
-    async _sendMessage(type, data) {
+    async _sendMessage(type, data, options = {}) {
+        const queueable = options.queueable !== false;
+        let canSend = true;
+
         // If not connected, attempt to reconnect
         if (!this.isConnected || !this.socket) {
             try {
@@ -575,12 +763,28 @@ export class AgentManager {
                     type,
                     userId: this.userId
                 });
-                throw new Error(`Failed to send ${type}: WebSocket reconnection failed - ${error.message}`);
+
+                // Fall back to another transport (e.g. HTTP) if one is available
+                const fallback = this._selectTransport();
+                if (fallback) {
+                    logBackendCommunication('Falling back from websocket', true, {
+                        type,
+                        transport: fallback.name,
+                        userId: this.userId
+                    });
+                } else if (queueable) {
+                    canSend = false;
+                } else {
+                    throw new Error(`Failed to send ${type}: WebSocket reconnection failed - ${error.message}`);
+                }
             }
         }
 
-        // Generate request ID using timestamp for tracking
-        const requestId = `${Date.now().toString()}:${this.userId}`;
+        // Generate a unique request ID for tracking
+        const requestId = this.pendingRequests.createId();
+        if (options.onRequestId) {
+            options.onRequestId(requestId);
+        }
         
         // Add userId to the data if needed
         let messageData = {...data, request_id: requestId};
@@ -594,6 +798,29 @@ export class AgentManager {
             // For queries and other top-level actions, add userId directly
             messageData.userId = this.userId;
         }
+
+        // Queue behind anything already waiting so messages go out in order
+        const sendNow = canSend && !(queueable && this.outboundQueue.size > 0);
+
+        // Send only what changed since the backend's last snapshot of each actor and combat.
+        // Queued messages may be replayed in another session, so they always go in full.
+        let snapshotKeys = [];
+        let pendingSnapshots = [];
+        if (sendNow) {
+            ({ data: messageData, keys: snapshotKeys, pending: pendingSnapshots } = this.snapshots.prepare(messageData, {
+                full: options.fullSnapshot
+            }));
+        }
+
+        // Keep the payload within the size budget, compressing it if enabled
+        let trimmed;
+        ({ payload: messageData, trimmed } = await serializePayload(messageData, this._getSerializationOptions()));
+
+        // The backend won't have a trimmed snapshot to apply later deltas to
+        if (trimmed.length && snapshotKeys.length) {
+            this.snapshots.invalidate(snapshotKeys);
+            pendingSnapshots = [];
+        }
         
         // Create the final payload with action and request_id
         const payload = {
@@ -606,15 +833,190 @@ export class AgentManager {
             } : messageData)
         };
 
-        return await this._emitAndWait(payload, requestId);
+        if (!sendNow) {
+            return this._enqueue(type, payload, requestId, options);
+        }
+
+        try {
+            const response = await this._emitAndWait(payload, requestId, options);
+            // Only a delivered message leaves the backend with snapshots to apply later deltas to
+            this.snapshots.commit(pendingSnapshots);
+            return response;
+        } catch (error) {
+            // Failed or cancelled, the backend may not hold these snapshots
+            if (snapshotKeys.length) {
+                this.snapshots.invalidate(snapshotKeys);
+            }
+
+            // The backend lost track of a snapshot, start again from full ones
+            if (error.code === SnapshotTracker.VERSION_MISMATCH && !options.fullSnapshot) {
+                logBackendCommunication('Snapshot version mismatch, resending in full', true, {
+                    type,
+                    requestId,
+                    snapshots: snapshotKeys
+                });
+                return this._sendMessage(type, data, { ...options, fullSnapshot: true });
+            }
+
+            if (error.connectionLost && queueable) {
+                if (snapshotKeys.length) {
+                    // Rebuild the message without deltas before queueing it
+                    return this._sendMessage(type, data, { ...options, fullSnapshot: true });
+                }
+                return this._enqueue(type, payload, requestId, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read the payload size budget and compression settings
+     * @returns {Object} - Options for serializePayload
+     * @private
+     */
+    _getSerializationOptions() {
+        return {
+            budget: game.settings.get('frinny', 'payloadBudgetKb') * 1024,
+            compress: game.settings.get('frinny', 'compressPayloads'),
+            // The backend dispatches on these, so they stay readable
+            routingKeys: ['action', 'request_id', 'userId']
+        };
+    }
+
+    /**
+     * Queue a message for replay once a transport is available
+     * @param {string} type - Message type ('query' or 'event')
+     * @param {Object} payload - The final payload to send
+     * @param {string} requestId - The request ID, reused on replay so the backend can de-duplicate
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Resolves with the response once the message is replayed
+     * @private
+     */
+    async _enqueue(type, payload, requestId, options = {}) {
+        const response = new Promise((resolve, reject) => {
+            this.queuedCallbacks.set(requestId, { resolve, reject, onChunk: options.onChunk || null });
+        });
+
+        await this.outboundQueue.enqueue({
+            requestId,
+            type,
+            payload,
+            clientMessageId: options.clientMessageId || null,
+            queuedAt: Date.now()
+        });
+
+        logBackendCommunication('Message queued for replay', true, {
+            requestId,
+            type,
+            queueSize: this.outboundQueue.size
+        });
+
+        if (options.onQueued) {
+            options.onQueued(requestId);
+        }
+
+        // A transport may already be back (e.g. queued behind other entries)
+        if (this._selectTransport()) {
+            this.replayQueue();
+        }
+
+        return response;
+    }
+
+    /**
+     * Send queued messages in order, stopping if the connection drops again
+     * @returns {Promise<void>}
+     */
+    async replayQueue() {
+        if (this.isReplayingQueue) return;
+        this.isReplayingQueue = true;
+
+        try {
+            while (this.outboundQueue.size > 0 && this._selectTransport()) {
+                const entry = this.outboundQueue.peek();
+                const callbacks = this.queuedCallbacks.get(entry.requestId);
+
+                // Already in flight, e.g. replayed by an earlier pass
+                if (this.pendingRequests.has(entry.requestId)) break;
+
+                let response = null;
+                let failure = null;
+                try {
+                    response = await this._emitAndWait(entry.payload, entry.requestId, {
+                        onChunk: callbacks?.onChunk
+                    });
+                } catch (error) {
+                    // Keep the entry for the next reconnect
+                    if (error.connectionLost) break;
+                    failure = error;
+                }
+
+                await this.outboundQueue.remove(entry.requestId);
+                this.queuedCallbacks.delete(entry.requestId);
+
+                logBackendCommunication('Queued message replay', !failure, {
+                    requestId: entry.requestId,
+                    remaining: this.outboundQueue.size
+                });
+
+                if (callbacks) {
+                    failure ? callbacks.reject(failure) : callbacks.resolve(response);
+                } else if (this.queuedResponseCallback) {
+                    this.queuedResponseCallback(entry, response, failure);
+                }
+            }
+        } finally {
+            this.isReplayingQueue = false;
+        }
+    }
+
+    /**
+     * Cancel a request that is queued or waiting on a response
+     * @param {string} requestId - The ID of the request to cancel
+     * @returns {Promise<boolean>} Whether a request was found and cancelled
+     */
+    async cancelRequest(requestId) {
+        const error = new RequestCancelledError(requestId);
+
+        // Not sent yet, just drop it from the queue
+        if (this.outboundQueue.has(requestId)) {
+            await this.outboundQueue.remove(requestId);
+            const callbacks = this.queuedCallbacks.get(requestId);
+            this.queuedCallbacks.delete(requestId);
+            callbacks?.reject(error);
+            logBackendCommunication('Queued request cancelled', true, { requestId });
+            return true;
+        }
+
+        if (!this.pendingRequests.has(requestId)) return false;
+
+        const { reject } = this.pendingRequests.get(requestId);
+        reject(error);
+
+        // Tell the backend to stop working on it, no reply is expected
+        const transport = this._selectTransport();
+        if (transport) {
+            try {
+                await transport.send({
+                    action: 'cancel',
+                    request_id: requestId,
+                    userId: this.userId
+                });
+                logBackendCommunication('Request cancelled', true, { requestId, transport: transport.name });
+            } catch (sendError) {
+                logError('sending cancel', sendError, { requestId });
+            }
+        }
+
+        return true;
     }
 
     /**
      * Send the query to the backend
      * @private
      */
-    async _sendQuery(payload) {
-        return this._sendMessage('query', payload);
+    async _sendQuery(payload, options = {}) {
+        return this._sendMessage('query', payload, options);
     }
 
     /**
@@ -625,6 +1027,14 @@ export class AgentManager {
         return this._sendMessage('event', { action: 'character_creation_start', ...context });
     }
 
+    /**
+     * Notify backend about a completed character creation step
+     * @param {Object} stepData - The step, the choice made and the creation progress
+     */
+    async notifyCharacterCreationStep(stepData) {
+        return this._sendMessage('event', { action: 'character_creation_step', ...stepData });
+    }
+
     /**
      * Notify backend about combat turn
      * @param {Object} combatState - The current combat state
@@ -633,6 +1043,22 @@ export class AgentManager {
         return this._sendMessage('event', { action: 'combat_turn', ...combatState });
     }
 
+    /**
+     * Ask the backend for advice on an NPC's turn, for the GM
+     * @param {Object} npcTurnData - The combat state from the NPC's point of view
+     */
+    async notifyNpcTurn(npcTurnData) {
+        return this._sendMessage('event', { action: 'npc_turn', ...npcTurnData });
+    }
+
+    /**
+     * Ask the backend to debrief an encounter that ended
+     * @param {Object} encounterData - Rounds, damage, conditions and resources spent
+     */
+    async notifyCombatEnd(encounterData) {
+        return this._sendMessage('event', { action: 'combat_end', ...encounterData });
+    }
+
     /**
      * Notify backend about level up
      * @param {Object} levelUpData - The level up context data
@@ -641,6 +1067,30 @@ export class AgentManager {
         return this._sendMessage('event', { action: 'level_up', ...levelUpData });
     }
 
+    /**
+     * Ask the backend to plan the character's next level
+     * @param {Object} planData - Level up data for the hypothetical next level
+     */
+    async requestLevelUpPlan(planData) {
+        return this._sendMessage('event', { action: 'level_up_plan', ...planData });
+    }
+
+    /**
+     * Ask the backend to fold older messages into a conversation's rolling summary
+     * @param {Object} summaryData - The previous summary, the messages to add to it and the thread's actor
+     */
+    async requestSummary(summaryData) {
+        return this._sendMessage('event', { action: 'summarize', ...summaryData });
+    }
+
+    /**
+     * Notify backend about retraining or a level decrease
+     * @param {Object} retrainData - What was swapped or lost, and the character's current build
+     */
+    async notifyRetrain(retrainData) {
+        return this._sendMessage('event', { action: 'retrain', ...retrainData });
+    }
+
     /**
      * Notify backend about combat start
      * @param {Object} combatData - Initial combat state data
@@ -658,6 +1108,19 @@ export class AgentManager {
         return this._sendMessage('event', { action: 'feedback', messageId, type });
     }
 
+    /**
+     * Report the outcome of a proposed action back to the backend
+     * @param {Object} result - The action result
+     * @param {string} result.messageId - The backend message the action came with
+     * @param {string} result.actionId - The action ID
+     * @param {string} result.actionType - The action type
+     * @param {string} result.status - 'applied', 'dismissed' or 'failed'
+     * @param {string} result.error - Error message if the action failed
+     */
+    async reportActionResult(result) {
+        return this._sendMessage('event', { action: 'action_result', ...result });
+    }
+
     /**
      * Start periodic reconnection attempts when disconnected
      * @private
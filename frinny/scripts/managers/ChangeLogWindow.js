@@ -0,0 +1,91 @@
+import { getChangeLog, undoChange } from '../utils/changeLogUtils.js';
+import { logError } from '../utils/logUtils.js';
+
+/**
+ * Lists the changes Frinny has applied to a character, with undo for each
+ */
+export class ChangeLogWindow extends Application {
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "modules/frinny/templates/change-log.hbs",
+            width: 480,
+            height: 500,
+            resizable: true,
+            classes: ["frinny-window", "frinny-change-log"]
+        });
+    }
+
+    /**
+     * @param {Actor} actor - The character whose change log is shown
+     * @param {Object} options - Application options
+     */
+    constructor(actor, options = {}) {
+        super(options);
+        this.actor = actor;
+
+        // Refresh when the log flag changes, e.g. a change applied from the chat window
+        this._updateHookId = Hooks.on('updateActor', (updated) => {
+            if (updated.id === this.actor.id && this.rendered) {
+                this.render(false);
+            }
+        });
+    }
+
+    get id() {
+        return `frinny-change-log-${this.actor.id}`;
+    }
+
+    get title() {
+        return game.i18n.format('frinny.changeLog.title', { name: this.actor.name });
+    }
+
+    getData() {
+        const entries = getChangeLog(this.actor)
+            .map(entry => ({
+                ...entry,
+                time: new Date(entry.timestamp).toLocaleString(),
+                previousText: this._formatValue(entry.previous),
+                nextText: this._formatValue(entry.next)
+            }))
+            .reverse(); // Newest first
+
+        return {
+            entries,
+            canUndo: this.actor.isOwner
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.frinny_change-undo').on('click', async (event) => {
+            const changeId = event.currentTarget.closest('.frinny_change').dataset.changeId;
+            try {
+                await undoChange(this.actor, changeId);
+                ui.notifications.info(game.i18n.localize('frinny.changeLog.undone'));
+            } catch (error) {
+                logError('undoing Frinny change', error, { actorId: this.actor.id, changeId });
+                ui.notifications.error(error.message);
+            }
+            this.render(false);
+        });
+    }
+
+    async close(options = {}) {
+        Hooks.off('updateActor', this._updateHookId);
+        return super.close(options);
+    }
+
+    /**
+     * Formats a journaled value for display
+     * @param {*} value - The value
+     * @returns {string} - Display text
+     * @private
+     */
+    _formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (Array.isArray(value)) return value.join(', ') || '—';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * Stores the private chat's sessions and their messages.
+ * Messages and session summaries live in the browser's IndexedDB, one database per
+ * world and user, so histories can grow to thousands of messages without being
+ * loaded into memory or broadcast with the User document. Only the small session
+ * metadata (name, thread, timestamps, archived state) is kept in the user's
+ * frinny.sessions flag, so every device lists the same sessions.
+ */
+
+import { logError, logStateChange } from '../utils/logUtils.js';
+
+const DB_VERSION = 2;
+const SESSIONS = 'sessions'; // Version 1 only, its sessions moved to the frinny.sessions flag
+const MESSAGES = 'messages';
+const SUMMARIES = 'summaries';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} - The request's result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export class ConversationStore {
+    /**
+     * @param {string} userId - The user whose conversations are stored
+     */
+    constructor(userId = game.user.id) {
+        this.user = game.users.get(userId);
+        this.dbName = `frinny-${game.world.id}-${userId}`;
+        this._openPromise = null;
+        this._localSessions = []; // Sessions found in a version 1 database while upgrading it
+    }
+
+    /**
+     * Open the database, creating or upgrading it on first use, and move over
+     * anything earlier versions stored elsewhere
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this._openPromise) {
+            this._openPromise = this._openDatabase().then(async db => {
+                await this._moveLocalSessions(db);
+                await this._moveFlagMessages(db);
+                return db;
+            });
+        }
+        return this._openPromise;
+    }
+
+    /**
+     * Get every stored session
+     * @returns {Promise<Array<Object>>} Sessions with their id, threadId, name, timestamps, archived state and summary
+     */
+    async listSessions() {
+        const db = await this.open();
+        const summaries = await promisify(db.transaction(SUMMARIES).objectStore(SUMMARIES).getAll());
+        const summaryFor = new Map(summaries.map(entry => [entry.sessionId, entry.summary]));
+
+        return Object.values(foundry.utils.deepClone(this.user.getFlag('frinny', 'sessions') || {}))
+            .map(session => ({ ...session, summary: summaryFor.get(session.id) ?? null }));
+    }
+
+    /**
+     * Store a session: its metadata in the user's flags, its summary in the database
+     * @param {Object} session - The session, keyed by id
+     * @returns {Promise<void>}
+     */
+    async saveSession(session) {
+        const { summary, ...metadata } = session;
+        await this.user.update({ [`flags.frinny.sessions.${session.id}`]: metadata });
+
+        if (summary) {
+            const db = await this.open();
+            const transaction = db.transaction(SUMMARIES, 'readwrite');
+            transaction.objectStore(SUMMARIES).put({ sessionId: session.id, summary });
+            await transactionDone(transaction);
+        }
+    }
+
+    /**
+     * Delete a session and its messages
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        await this.user.update({ [`flags.frinny.sessions.-=${sessionId}`]: null });
+
+        const db = await this.open();
+        const transaction = db.transaction([MESSAGES, SUMMARIES], 'readwrite');
+        transaction.objectStore(SUMMARIES).delete(sessionId);
+
+        const cursorRequest = transaction.objectStore(MESSAGES).index('sessionId').openKeyCursor(sessionId);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                transaction.objectStore(MESSAGES).delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Get a session's messages
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<Array<Object>>} The messages, oldest first
+     */
+    async getMessages(sessionId) {
+        const db = await this.open();
+        const messages = await promisify(
+            db.transaction(MESSAGES).objectStore(MESSAGES).index('sessionId').getAll(sessionId)
+        );
+        return messages.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get a single message
+     * @param {string} messageId - The message's local ID
+     * @returns {Promise<Object|null>} The message, with its sessionId
+     */
+    async getMessage(messageId) {
+        const db = await this.open();
+        return (await promisify(db.transaction(MESSAGES).objectStore(MESSAGES).get(messageId))) ?? null;
+    }
+
+    /**
+     * Store messages, replacing any with the same ID
+     * @param {Array<Object>} messages - The messages, each with its sessionId
+     * @returns {Promise<void>}
+     */
+    async putMessages(messages) {
+        const db = await this.open();
+        await this._putMessages(db, messages);
+    }
+
+    /**
+     * Find messages containing some text, across every session
+     * @param {string} query - The text to look for, case insensitive
+     * @param {number} limit - Maximum number of matches
+     * @returns {Promise<Array<Object>>} Matching messages, newest first
+     */
+    async searchMessages(query, limit = 50) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [];
+
+        const db = await this.open();
+        const matches = [];
+        await new Promise((resolve, reject) => {
+            const request = db.transaction(MESSAGES).objectStore(MESSAGES).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                if (String(cursor.value.content || '').toLowerCase().includes(needle)) {
+                    matches.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return matches
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+
+    /**
+     * Open the database, creating its stores or upgrading a version 1 database
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore(MESSAGES, { keyPath: 'id' })
+                        .createIndex('sessionId', 'sessionId');
+                }
+                db.createObjectStore(SUMMARIES, { keyPath: 'sessionId' });
+
+                // Version 1 kept sessions here, they move to the flags once the database is open
+                if (event.oldVersion === 1) {
+                    const sessionsRequest = request.transaction.objectStore(SESSIONS).getAll();
+                    sessionsRequest.onsuccess = () => {
+                        this._localSessions = sessionsRequest.result;
+                        db.deleteObjectStore(SESSIONS);
+                    };
+                }
+                logStateChange('Conversation store', 'upgraded', { dbName: this.dbName, from: event.oldVersion });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store messages in an open database
+     * @param {IDBDatabase} db - The database
+     * @param {Array<Object>} messages - The messages, each with its sessionId
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _putMessages(db, messages) {
+        const transaction = db.transaction(MESSAGES, 'readwrite');
+        const store = transaction.objectStore(MESSAGES);
+        messages.forEach(message => store.put(message));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Store summaries in an open database
+     * @param {IDBDatabase} db - The database
+     * @param {Array<Object>} sessions - Sessions with a summary
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _putSummaries(db, sessions) {
+        const transaction = db.transaction(SUMMARIES, 'readwrite');
+        const store = transaction.objectStore(SUMMARIES);
+        sessions.forEach(session => store.put({ sessionId: session.id, summary: session.summary }));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * List sessions that version 1 kept only in this browser in the user's flags.
+     * Runs once, after the upgrade that removed them from the database.
+     * @param {IDBDatabase} db - The database
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _moveLocalSessions(db) {
+        const local = this._localSessions;
+        this._localSessions = [];
+        if (!local.length) return;
+
+        try {
+            await this._putSummaries(db, local.filter(session => session.summary));
+            await this.user.update(Object.fromEntries(local.map(({ summary, ...metadata }) => [
+                `flags.frinny.sessions.${metadata.id}`,
+                metadata
+            ])));
+            logStateChange('Conversations', 'sessions moved to flags', { sessions: local.length });
+        } catch (error) {
+            logError('moving conversation sessions to flags', error, { sessions: local.length });
+        }
+    }
+
+    /**
+     * Move messages and summaries that were briefly kept in the user's flags into the database.
+     * The flag copy is removed afterwards, so this only happens once.
+     * @param {IDBDatabase} db - The database
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _moveFlagMessages(db) {
+        const flagMessages = this.user.getFlag('frinny', 'sessionMessages');
+        const summarized = Object.values(this.user.getFlag('frinny', 'sessions') || {}).filter(session => session.summary);
+        if (!flagMessages && !summarized.length) return;
+
+        try {
+            const messages = Object.values(flagMessages || {}).flatMap(session => Object.values(session));
+            await this._putMessages(db, foundry.utils.deepClone(messages));
+            await this._putSummaries(db, foundry.utils.deepClone(summarized));
+            await this.user.update({
+                'flags.frinny.-=sessionMessages': null,
+                ...Object.fromEntries(summarized.map(session => [`flags.frinny.sessions.${session.id}.-=summary`, null]))
+            });
+            logStateChange('Conversations', 'messages moved from flags', {
+                messages: messages.length,
+                summaries: summarized.length
+            });
+        } catch (error) {
+            logError('moving conversation messages from flags', error);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+import { getEncounterLog } from '../utils/encounterUtils.js';
+import { renderMarkdown } from '../utils/markdownUtils.js';
+import { appendReferences, enrichContent } from '../utils/referenceUtils.js';
+
+/**
+ * Lists a character's past encounters with Frinny's debrief of each
+ */
+export class EncounterLogWindow extends Application {
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "modules/frinny/templates/encounter-log.hbs",
+            width: 520,
+            height: 560,
+            resizable: true,
+            classes: ["frinny-window", "frinny-encounter-log"]
+        });
+    }
+
+    /**
+     * @param {Actor} actor - The character whose encounters are shown
+     * @param {Object} options - Application options
+     */
+    constructor(actor, options = {}) {
+        super(options);
+        this.actor = actor;
+
+        // Refresh when an encounter is logged while the window is open
+        this._updateHookId = Hooks.on('updateActor', (updated) => {
+            if (updated.id === this.actor.id && this.rendered) {
+                this.render(false);
+            }
+        });
+    }
+
+    get id() {
+        return `frinny-encounter-log-${this.actor.id}`;
+    }
+
+    get title() {
+        return game.i18n.format('frinny.encounters.title', { name: this.actor.name });
+    }
+
+    async getData() {
+        const entries = await Promise.all(getEncounterLog(this.actor)
+            .map(async entry => ({
+                ...entry,
+                time: new Date(entry.timestamp).toLocaleString(),
+                opponents: entry.combatants.filter(c => !c.isPlayerCharacter).map(c => c.name).join(', '),
+                conditionsText: entry.conditions.map(c => c.value ? `${c.name} ${c.value}` : c.name).join(', '),
+                spentText: this._formatSpent(entry.resourcesSpent),
+                // Enriched like chat replies, so referenced rules open their sheets
+                debriefHTML: entry.debrief
+                    ? await enrichContent(renderMarkdown(appendReferences(entry.debrief, entry.references)))
+                    : ''
+            })));
+
+        return { entries: entries.reverse() }; // Newest first
+    }
+
+    async close(options = {}) {
+        Hooks.off('updateActor', this._updateHookId);
+        return super.close(options);
+    }
+
+    /**
+     * Formats the resources spent in an encounter
+     * @param {Object|null} spent - The result of diffResources
+     * @returns {string} - Display text
+     * @private
+     */
+    _formatSpent(spent) {
+        if (!spent) return '';
+
+        const parts = [
+            ...spent.spellSlots.map(slot => game.i18n.format('frinny.encounters.spellSlot', slot)),
+            ...spent.consumables.map(item => `${item.name} ×${item.used}`)
+        ];
+        if (spent.focusPoints) {
+            parts.push(game.i18n.format('frinny.encounters.focusPoints', { count: spent.focusPoints }));
+        }
+        if (spent.heroPoints) {
+            parts.push(game.i18n.format('frinny.encounters.heroPoints', { count: spent.heroPoints }));
+        }
+        return parts.join(', ');
+    }
+}
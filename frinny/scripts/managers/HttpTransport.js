@@ -0,0 +1,63 @@
+/**
+ * Transport that POSTs messages to the backend's HTTP API.
+ * Used as a fallback when the WebSocket cannot be established, e.g. on networks
+ * that block WebSocket upgrades, unless the world turns off the httpFallback setting.
+ * The backend answers inline with the same message shape it would push over the socket.
+ */
+export class HttpTransport {
+    /**
+     * @param {AgentManager} agentManager - The manager providing the backend URL
+     * @param {Object} options - Transport options
+     * @param {number} options.timeout - Request timeout in ms
+     */
+    constructor(agentManager, { timeout = 30000 } = {}) {
+        this.agentManager = agentManager;
+        this.name = 'http';
+        this.respondsInline = true;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Whether the HTTP fallback is enabled and an endpoint is configured
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.agentManager.httpFallback
+            && !!this.agentManager.backendUrl
+            && navigator.onLine !== false;
+    }
+
+    /**
+     * POST a message to the backend and return its reply messages
+     * @param {Object} data - The payload to send
+     * @returns {Promise<Array<Object>>} The reply messages from the response body
+     * @throws {Error} - If the request fails or returns a non-2xx status
+     */
+    async send(data) {
+        const url = this.agentManager.backendUrl.replace(/\/+$/, '');
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            const text = await response.text();
+            if (!text) return [];
+
+            // The backend may answer with a single message or a batch of them
+            const body = JSON.parse(text);
+            return Array.isArray(body) ? body : [body];
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
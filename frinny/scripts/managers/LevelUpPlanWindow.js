@@ -0,0 +1,84 @@
+import {
+    getLevelUpPlan,
+    buildPlanDiff,
+    canApplyLevelUpPlan,
+    clearLevelUpPlan
+} from '../utils/levelUpPlanUtils.js';
+
+/**
+ * Shows Frinny's plan for a character's next level next to the current sheet
+ */
+export class LevelUpPlanWindow extends Application {
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "modules/frinny/templates/level-up-plan.hbs",
+            width: 520,
+            height: 460,
+            resizable: true,
+            classes: ["frinny-window", "frinny-level-plan"]
+        });
+    }
+
+    /**
+     * @param {Actor} actor - The character whose plan is shown
+     * @param {Object} options - Application options
+     */
+    constructor(actor, options = {}) {
+        super(options);
+        this.actor = actor;
+
+        // Refresh when the plan or the sheet changes, e.g. after levelling up
+        this._updateHookId = Hooks.on('updateActor', (updated) => {
+            if (updated.id === this.actor.id && this.rendered) {
+                this.render(false);
+            }
+        });
+    }
+
+    get id() {
+        return `frinny-level-plan-${this.actor.id}`;
+    }
+
+    get title() {
+        return game.i18n.format('frinny.levelPlan.title', { name: this.actor.name });
+    }
+
+    getData() {
+        const plan = getLevelUpPlan(this.actor);
+        const canApply = canApplyLevelUpPlan(this.actor, plan);
+
+        return {
+            plan,
+            rows: buildPlanDiff(this.actor, plan),
+            canApply,
+            canEdit: this.actor.isOwner,
+            waitingHint: plan && !canApply
+                ? game.i18n.format('frinny.levelPlan.waiting', { level: plan.targetLevel })
+                : ''
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.frinny_plan-apply').on('click', async () => {
+            await game.frinny.applyLevelUpPlan(this.actor);
+            this.render(false);
+        });
+
+        html.find('.frinny_plan-refresh').on('click', async () => {
+            await game.frinny.planNextLevel(this.actor);
+            this.render(false);
+        });
+
+        html.find('.frinny_plan-discard').on('click', async () => {
+            await clearLevelUpPlan(this.actor);
+            this.render(false);
+        });
+    }
+
+    async close(options = {}) {
+        Hooks.off('updateActor', this._updateHookId);
+        return super.close(options);
+    }
+}
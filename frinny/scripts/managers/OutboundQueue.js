@@ -0,0 +1,95 @@
+/**
+ * Persistent queue of messages that could not be sent to the backend.
+ * Entries are stored in user flags so they survive a reload and are replayed
+ * in order once a connection is available again.
+ */
+
+import { logError, logStateChange } from '../utils/logUtils.js';
+
+export class OutboundQueue {
+    /**
+     * @param {string} flagKey - The user flag the queue is persisted under
+     */
+    constructor(flagKey = 'outboundQueue') {
+        this.flagKey = flagKey;
+        this.entries = [];
+    }
+
+    /**
+     * Load queued entries from user flags
+     */
+    load() {
+        this.entries = game.user.getFlag('frinny', this.flagKey) || [];
+        if (this.entries.length) {
+            logStateChange('Outbound queue', 'restored from flags', { count: this.entries.length });
+        }
+    }
+
+    /**
+     * Number of queued entries
+     * @type {number}
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Check whether a request is already queued
+     * @param {string} requestId - The request ID
+     * @returns {boolean}
+     */
+    has(requestId) {
+        return this.entries.some(entry => entry.requestId === requestId);
+    }
+
+    /**
+     * Get the oldest queued entry without removing it
+     * @returns {Object|null}
+     */
+    peek() {
+        return this.entries[0] || null;
+    }
+
+    /**
+     * Add an entry to the end of the queue, ignoring duplicates
+     * @param {Object} entry - The entry to queue, must have a requestId
+     * @returns {Promise<boolean>} Whether the entry was added
+     */
+    async enqueue(entry) {
+        if (this.has(entry.requestId)) return false;
+
+        this.entries.push(entry);
+        await this._save();
+        logStateChange('Outbound queue', 'entry queued', {
+            requestId: entry.requestId,
+            count: this.entries.length
+        });
+        return true;
+    }
+
+    /**
+     * Remove an entry from the queue
+     * @param {string} requestId - The request ID to remove
+     * @returns {Promise<Object|null>} The removed entry, if it was queued
+     */
+    async remove(requestId) {
+        const entry = this.entries.find(e => e.requestId === requestId);
+        if (!entry) return null;
+
+        this.entries = this.entries.filter(e => e.requestId !== requestId);
+        await this._save();
+        return entry;
+    }
+
+    /**
+     * Persist the queue to user flags
+     * @private
+     */
+    async _save() {
+        try {
+            await game.user.setFlag('frinny', this.flagKey, this.entries);
+        } catch (error) {
+            logError('saving outbound queue', error, { count: this.entries.length });
+        }
+    }
+}
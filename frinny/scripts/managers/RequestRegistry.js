@@ -0,0 +1,135 @@
+/**
+ * Tracks in-flight backend requests.
+ * Issues collision-proof request IDs and records when each request started,
+ * which action it carries, its payload size and its timeout, so stale
+ * requests can be detected without parsing meaning out of the ID.
+ */
+export class RequestRegistry {
+    /**
+     * Timeout used for actions without a specific entry
+     * @type {number}
+     */
+    static DEFAULT_TIMEOUT = 30000;
+
+    /**
+     * Per-action timeouts in ms, keyed by query type or event action
+     * @type {Object<string, number>}
+     */
+    static ACTION_TIMEOUTS = {
+        query: 30000,
+        character_creation_start: 60000,
+        character_creation_step: 60000,
+        level_up: 60000,
+        level_up_plan: 60000,
+        retrain: 60000,
+        combat_start: 45000,
+        combat_turn: 45000,
+        npc_turn: 45000,
+        combat_end: 60000,
+        summarize: 60000,
+        feedback: 15000,
+        action_result: 15000
+    };
+
+    /**
+     * @param {string} userId - The user the IDs are issued for
+     */
+    constructor(userId) {
+        this.userId = userId;
+        this.requests = new Map();
+        this.sequence = 0;
+    }
+
+    /**
+     * Create a request ID that is unique even for requests issued in the same millisecond
+     * @returns {string} The new request ID
+     */
+    createId() {
+        this.sequence += 1;
+        return `${Date.now().toString(36)}-${this.sequence.toString(36)}-${foundry.utils.randomID(8)}:${this.userId}`;
+    }
+
+    /**
+     * Get the timeout for an action
+     * @param {string} action - The query type or event action
+     * @returns {number} Timeout in ms
+     */
+    timeoutFor(action) {
+        return RequestRegistry.ACTION_TIMEOUTS[action] ?? RequestRegistry.DEFAULT_TIMEOUT;
+    }
+
+    /**
+     * Register a request as in flight
+     * @param {string} requestId - The request ID
+     * @param {Object} entry - Callbacks and metadata (action, payloadSize, timeout, transport, ...)
+     * @returns {Object} The stored entry
+     */
+    register(requestId, entry) {
+        const now = Date.now();
+        const record = {
+            ...entry,
+            requestId,
+            startedAt: now,
+            lastActivityAt: now
+        };
+        this.requests.set(requestId, record);
+        return record;
+    }
+
+    /**
+     * Record activity on a request, e.g. a streamed chunk
+     * @param {string} requestId - The request ID
+     */
+    touch(requestId) {
+        const entry = this.requests.get(requestId);
+        if (entry) {
+            entry.lastActivityAt = Date.now();
+        }
+    }
+
+    has(requestId) {
+        return this.requests.has(requestId);
+    }
+
+    get(requestId) {
+        return this.requests.get(requestId);
+    }
+
+    delete(requestId) {
+        return this.requests.delete(requestId);
+    }
+
+    clear() {
+        this.requests.clear();
+    }
+
+    keys() {
+        return this.requests.keys();
+    }
+
+    get size() {
+        return this.requests.size;
+    }
+
+    [Symbol.iterator]() {
+        return this.requests.entries();
+    }
+
+    /**
+     * List in-flight requests for diagnostics
+     * @returns {Array<Object>} Request metadata without callbacks
+     */
+    list() {
+        const now = Date.now();
+        return Array.from(this.requests.values()).map(entry => ({
+            requestId: entry.requestId,
+            action: entry.action,
+            transport: entry.transport,
+            payloadSize: entry.payloadSize,
+            timeout: entry.timeout,
+            startedAt: entry.startedAt,
+            elapsed: now - entry.startedAt,
+            idle: now - entry.lastActivityAt
+        }));
+    }
+}
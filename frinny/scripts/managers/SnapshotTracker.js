@@ -0,0 +1,103 @@
+/**
+ * Tracks what the backend last received for each actor and combat this session,
+ * so later events can send only what changed. Each snapshot carries a version;
+ * the backend rejects a delta whose base version it doesn't have and the full
+ * snapshot is sent again. A snapshot only counts as seen once its message was delivered.
+ */
+
+import { diffJson } from '../utils/jsonDiffUtils.js';
+import { logStateChange } from '../utils/logUtils.js';
+
+export class SnapshotTracker {
+    /**
+     * Error code the backend replies with when it can't apply a delta
+     * @type {string}
+     */
+    static VERSION_MISMATCH = 'snapshot_version_mismatch';
+
+    /**
+     * Payload fields sent as deltas, and the key of the document each describes
+     * @type {Object<string, Function>}
+     */
+    static TRACKED_FIELDS = {
+        active_character: data => data.active_character?.id ? `actor:${data.active_character.id}` : null,
+        tactical: data => data.combatId ? `combat:${data.combatId}` : null
+    };
+
+    constructor() {
+        this.snapshots = new Map(); // key -> { version, data }
+        this.generation = 0; // Bumped on invalidation so snapshots prepared before it aren't committed
+    }
+
+    /**
+     * Replace tracked fields the backend has seen before with deltas.
+     * Fields sent in full are kept as `<field>`, deltas as `<field>_patch`,
+     * and `snapshot_versions` describes which was sent.
+     * @param {Object} data - The message data
+     * @param {Object} options - Options
+     * @param {boolean} options.full - Send every tracked field in full
+     * @returns {{data: Object, keys: Array<string>, pending: Array<Object>}} - The message data, the snapshot
+     * keys it touched and the snapshots to commit once it was delivered
+     */
+    prepare(data, { full = false } = {}) {
+        const result = { ...data };
+        const versions = {};
+        const keys = [];
+        const pending = [];
+
+        for (const [field, getKey] of Object.entries(SnapshotTracker.TRACKED_FIELDS)) {
+            const key = data[field] ? getKey(data) : null;
+            if (!key) continue;
+
+            // Compare against exactly what was serialized last time
+            const current = JSON.parse(JSON.stringify(data[field]));
+            const previous = this.snapshots.get(key);
+            const version = (previous?.version ?? 0) + 1;
+            keys.push(key);
+
+            const patch = previous && !full ? diffJson(previous.data, current) : null;
+
+            // A delta bigger than the snapshot itself isn't worth sending
+            if (patch && JSON.stringify(patch).length < JSON.stringify(current).length) {
+                delete result[field];
+                result[`${field}_patch`] = patch;
+                versions[field] = { key, version, base_version: previous.version, type: 'delta' };
+            } else {
+                versions[field] = { key, version, type: 'full' };
+            }
+
+            pending.push({ key, version, data: current, generation: this.generation });
+        }
+
+        if (keys.length) {
+            result.snapshot_versions = versions;
+        }
+        return { data: result, keys, pending };
+    }
+
+    /**
+     * Record snapshots as seen by the backend once their message was delivered
+     * @param {Array<Object>} pending - The pending snapshots from prepare
+     */
+    commit(pending) {
+        for (const { key, version, data, generation } of pending) {
+            // Invalidated while the message was in flight, e.g. the socket reconnected
+            if (generation !== this.generation) continue;
+            this.snapshots.set(key, { version, data });
+        }
+    }
+
+    /**
+     * Forget snapshots so the next event sends them in full
+     * @param {Array<string>} keys - Snapshot keys, all snapshots if omitted
+     */
+    invalidate(keys = null) {
+        this.generation++;
+        if (!keys) {
+            this.snapshots.clear();
+        } else {
+            keys.forEach(key => this.snapshots.delete(key));
+        }
+        logStateChange('Snapshots', 'invalidated', { keys: keys || 'all' });
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Transport that delivers messages over the AgentManager's WebSocket connection.
+ * Replies arrive asynchronously through the socket's message handler.
+ */
+export class SocketTransport {
+    /**
+     * @param {AgentManager} agentManager - The manager that owns the socket
+     */
+    constructor(agentManager) {
+        this.agentManager = agentManager;
+        this.name = 'websocket';
+        this.respondsInline = false;
+    }
+
+    /**
+     * Whether the socket is currently open and able to send
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.agentManager.isConnected && !!this.agentManager.socket;
+    }
+
+    /**
+     * Send a message over the socket
+     * @param {Object} data - The payload to send
+     * @returns {Promise<Array<Object>>} Always empty, replies come through the socket
+     */
+    async send(data) {
+        this.agentManager.socket.send(JSON.stringify(data));
+        return [];
+    }
+}
@@ -1,5 +1,46 @@
-import { AgentManager } from './AgentManager.js';
+import { AgentManager, RequestCancelledError } from './AgentManager.js';
 import { logError, logStateChange } from '../utils/logUtils.js';
+import { renderMarkdown } from '../utils/markdownUtils.js';
+import { appendReferences, enrichContent } from '../utils/referenceUtils.js';
+import { normalizeActions, describeAction, applyAction, revertAction, ActionStatus } from '../utils/actionUtils.js';
+import { ChangeLogWindow } from './ChangeLogWindow.js';
+import { LevelUpPlanWindow } from './LevelUpPlanWindow.js';
+import { EncounterLogWindow } from './EncounterLogWindow.js';
+import { ConversationStore } from './ConversationStore.js';
+import {
+    toConversationHistory,
+    getUnsummarizedMessages,
+    needsSummary,
+    selectMessagesToSummarize
+} from '../utils/summaryUtils.js';
+import { NOTES_JOURNAL_TARGET, getNotesJournal, listWritablePages, saveNoteToJournal } from '../utils/journalNotesUtils.js';
+import {
+    buildThreadExport,
+    threadToMarkdown,
+    exportToJournal,
+    getExportFileName,
+    parseThreadExport
+} from '../utils/conversationExportUtils.js';
+import { gatherBasicCharacterData, gatherLevelUpPlanData, canModifyCharacter } from '../utils/characterUtils.js';
+import { saveLevelUpPlan, getLevelUpPlan, applyLevelUpPlan } from '../utils/levelUpPlanUtils.js';
+import {
+    CREATION_STEPS,
+    getCreationState,
+    getStepChoice,
+    completeCreationStep,
+    clearCreation
+} from '../utils/characterCreationUtils.js';
+import { gatherEncounterData, saveEncounterLog, clearActiveEncounter } from '../utils/encounterUtils.js';
+import {
+    GENERAL_THREAD,
+    getThreadId,
+    getThreadActor,
+    getThreadLabel,
+    listThreadActors,
+    readFlagHistory,
+    getActiveThreadId,
+    setActiveThreadId
+} from '../utils/threadUtils.js';
 
 export class FrinnyChat extends Application {
     static get defaultOptions() {
@@ -19,7 +60,18 @@ export class FrinnyChat extends Application {
     constructor(options = {}) {
         super(options);
         this.isTyping = false;
-        this.messages = [];
+        this.store = new ConversationStore();
+        this.sessions = []; // Every stored session, see threadUtils for how they group into threads
+        this.sessionMessages = {}; // Messages per session ID, loaded when a session is first used
+        this.activeThreadId = GENERAL_THREAD;
+        this.activeSessionId = null;
+        this.unreadThreads = new Set(); // Threads that got replies while another was shown
+        this.sessionSearch = { query: '', results: [] };
+        this.summarizing = new Set(); // Sessions with a summary request in flight
+        this.showArchived = false;
+        this.activeRequest = null; // The private query that can currently be stopped
+        this.renderedContent = new Map(); // Cached HTML for assistant messages, keyed by local ID
+        this.creationActorId = null; // Character whose creation wizard was opened this session
         this.agentManager = new AgentManager();
         
         // Initialize window state
@@ -31,14 +83,24 @@ export class FrinnyChat extends Application {
         this.avatarState = 'default'; // Possible states: default, thinking, happy, confused
         this.avatarStateTimer = null;
         
-        // Load saved messages
-        this._loadMessages();
+        // Load saved messages, anything added meanwhile waits for this
+        this.ready = this._loadMessages();
 
         // Initialize connection and set up typing callback
         this.agentManager.connect().catch(error => {
             logError('AgentManager connection', error);
         });
 
+        // Deliver replies to queries that were queued before a reload
+        this.agentManager.onQueuedResponse((entry, response, error) => {
+            this._handleQueuedResponse(entry, response, error);
+        });
+
+        // Show character changes proposed by the backend for approval
+        this.agentManager.onProposedActions((data, actions) => {
+            this._handleProposedActions(data, actions);
+        });
+
         // Set up typing status callback
         this.agentManager.onTypingStatus((isTyping) => {
             this.isTyping = isTyping;
@@ -61,52 +123,613 @@ export class FrinnyChat extends Application {
     }
 
     /**
-     * Load messages from Foundry flags
+     * Messages in the session being shown
+     * @type {Array<Object>}
+     */
+    get messages() {
+        return this.sessionMessages[this.activeSessionId] || [];
+    }
+
+    /**
+     * Load the stored sessions and open the latest one in the active thread
      * @private
      */
     async _loadMessages() {
-        const savedMessages = await game.user.getFlag("frinny", "messages") || [];
-        this.messages = savedMessages;
+        try {
+            await this.store.open();
+            await this._migrateFlagHistory();
+            this.sessions = await this.store.listSessions();
+            this.activeThreadId = getActiveThreadId();
+            await this._openSession(this._getThreadSessions(this.activeThreadId)[0]?.id ?? null);
+        } catch (error) {
+            logError('loading Frinny conversations', error);
+        }
+
+        if (this.rendered) {
+            this.render(false);
+        }
     }
 
     /**
-     * Save messages to Foundry flags
+     * Copy history kept in the old user flags into the conversation store, one session per thread.
+     * The old flags stay as they are; frinny.historyMigrated keeps the copy from being made twice.
      * @private
      */
-    async _saveMessages() {
-        const maxMessages = game.settings.get("frinny", "maxMessages");
-        const messagesToSave = this.messages.slice(-maxMessages);
-        await game.user.setFlag("frinny", "messages", messagesToSave);
+    async _migrateFlagHistory() {
+        if (game.user.getFlag('frinny', 'historyMigrated')) return;
+
+        const threads = readFlagHistory();
+        const threadIds = Object.keys(threads);
+
+        for (const threadId of threadIds) {
+            const messages = threads[threadId].filter(m => !m.streaming);
+            const session = this._buildSession(threadId, game.i18n.localize('frinny.sessions.migratedName'));
+            session.createdAt = messages[0]?.timestamp ?? session.createdAt;
+            session.lastActivity = messages[messages.length - 1]?.timestamp ?? session.lastActivity;
+
+            await this.store.putMessages(messages.map(message => ({
+                ...message,
+                id: message.id || foundry.utils.randomID(),
+                sessionId: session.id
+            })));
+            await this.store.saveSession(session);
+        }
+
+        await game.user.setFlag('frinny', 'historyMigrated', true);
+        logStateChange('Conversations', 'migrated from flags', { threads: threadIds.length });
+    }
+
+    /**
+     * Build a new, unsaved session
+     * @param {string} threadId The thread it belongs to
+     * @param {string} name The session name, defaults to today's date
+     * @returns {Object} The session
+     * @private
+     */
+    _buildSession(threadId, name = null) {
+        const now = Date.now();
+        return {
+            id: foundry.utils.randomID(),
+            threadId,
+            name: name || game.i18n.format('frinny.sessions.defaultName', { date: new Date(now).toLocaleDateString() }),
+            createdAt: now,
+            lastActivity: now,
+            archived: false
+        };
+    }
+
+    /**
+     * Get a thread's sessions, most recently active first
+     * @param {string} threadId The thread ID
+     * @param {boolean} includeArchived Whether to include archived sessions
+     * @returns {Array<Object>} The sessions
+     * @private
+     */
+    _getThreadSessions(threadId, includeArchived = false) {
+        return this.sessions
+            .filter(session => session.threadId === threadId && (includeArchived || !session.archived))
+            .sort((a, b) => b.lastActivity - a.lastActivity);
+    }
+
+    /**
+     * Get a session by ID
+     * @param {string} sessionId The session ID
+     * @returns {Object|null} The session
+     * @private
+     */
+    _getSession(sessionId) {
+        return this.sessions.find(session => session.id === sessionId) ?? null;
+    }
+
+    /**
+     * Load a session's messages if they aren't loaded yet
+     * @param {string} sessionId The session ID
+     * @returns {Promise<Array<Object>>} The session's messages
+     * @private
+     */
+    async _loadSessionMessages(sessionId) {
+        if (!this.sessionMessages[sessionId]) {
+            const messages = await this.store.getMessages(sessionId);
+            // Another call may have loaded it, and added to it, in the meantime
+            this.sessionMessages[sessionId] = this.sessionMessages[sessionId] || messages;
+        }
+        return this.sessionMessages[sessionId];
+    }
+
+    /**
+     * Show a session, switching to its thread
+     * @param {string|null} sessionId The session ID, null to show an empty thread
+     * @private
+     */
+    async _openSession(sessionId) {
+        const session = this._getSession(sessionId);
+        if (session) {
+            await this._loadSessionMessages(session.id);
+            if (session.threadId !== this.activeThreadId) {
+                this.activeThreadId = session.threadId;
+                await setActiveThreadId(session.threadId);
+            }
+            this.unreadThreads.delete(session.threadId);
+        }
+        this.activeSessionId = session?.id ?? null;
+    }
+
+    /**
+     * Get the session new messages in a thread go to, starting one if needed
+     * @param {string} threadId The thread ID
+     * @returns {Promise<string>} The session ID
+     * @private
+     */
+    async _ensureSession(threadId) {
+        if (threadId === this.activeThreadId && this.activeSessionId) {
+            return this.activeSessionId;
+        }
+
+        const session = this._getThreadSessions(threadId)[0];
+        if (session) {
+            await this._loadSessionMessages(session.id);
+            return session.id;
+        }
+
+        const created = await this.createSession(threadId);
+        if (threadId === this.activeThreadId) {
+            this.activeSessionId = created.id;
+        }
+        return created.id;
+    }
+
+    /**
+     * Store a message and record the activity on its session
+     * @param {Object} message The message
+     * @param {string} sessionId The session holding it
+     * @private
+     */
+    async _saveMessage(message, sessionId) {
+        // Responses still streaming in are saved once they complete, and deleted sessions take nothing
+        if (message.streaming || !this._getSession(sessionId)) return;
+
+        await this.store.putMessages([{ ...message, sessionId }]);
+
+        const session = this._getSession(sessionId);
+        if (session && message.timestamp > session.lastActivity) {
+            session.lastActivity = message.timestamp;
+            await this.store.saveSession(session);
+        }
     }
 
     /**
      * Add a message to the chat history
-     * @param {Object} message The message to add
+     * @param {Object} message The message to add, with the threadId or sessionId it belongs to if not the one shown
+     * @returns {Promise<Object>} The stored message, with its local ID
      * @private
      */
     async _addMessage(message) {
-        this.messages.push(message);
-        await this._saveMessages();
+        await this.ready;
+        const { threadId = this.activeThreadId, sessionId = null, ...stored } = message;
+        // A session deleted while waiting for a reply no longer takes messages
+        const targetSessionId = this._getSession(sessionId) ? sessionId : await this._ensureSession(threadId);
+
+        // Local ID so the message can be found again in the DOM and history
+        stored.id = stored.id || foundry.utils.randomID();
+        (await this._loadSessionMessages(targetSessionId)).push(stored);
+
+        const targetThreadId = this._getSession(targetSessionId)?.threadId ?? threadId;
+        if (targetThreadId !== this.activeThreadId) {
+            this.unreadThreads.add(targetThreadId);
+        }
+        await this._saveMessage(stored, targetSessionId);
         
         await this.render(false);
+        return stored;
+    }
+
+    /**
+     * Find a message in the loaded sessions, or in the store
+     * @param {string} messageId The local or backend ID of the message
+     * @returns {Promise<{message: Object|null, sessionId: string|null}>} The message and the session holding it
+     * @private
+     */
+    async _findMessage(messageId) {
+        if (!messageId) return { message: null, sessionId: null };
+
+        for (const [sessionId, messages] of Object.entries(this.sessionMessages)) {
+            const message = messages.find(m => m.id === messageId || m.messageId === messageId);
+            if (message) return { message, sessionId };
+        }
+
+        const stored = await this.store.getMessage(messageId);
+        return { message: stored, sessionId: stored?.sessionId ?? null };
     }
 
     /**
      * Update a message in the chat history
-     * @param {string} messageId The ID of the message to update
+     * @param {string} messageId The local or backend ID of the message to update
      * @param {Object} updates The updates to apply
      * @private
      */
     async _updateMessage(messageId, updates) {
-        const message = this.messages.find(m => m.messageId === messageId);
+        const { message, sessionId } = await this._findMessage(messageId);
         if (message) {
             Object.assign(message, updates);
-            await this._saveMessages();
+            await this._saveMessage(message, sessionId);
             await this.render(false);
         }
     }
 
-    getData() {
+    /**
+     * Show another conversation thread, at its most recent session
+     * @param {string} threadId The thread ID
+     */
+    async switchThread(threadId) {
+        if (threadId === this.activeThreadId) return;
+
+        this.activeThreadId = threadId;
+        this.unreadThreads.delete(threadId);
+        await setActiveThreadId(threadId);
+        await this._openSession(this._getThreadSessions(threadId)[0]?.id ?? null);
+        await this.render(false);
+    }
+
+    /**
+     * Start a named session
+     * @param {string} threadId The thread it belongs to, defaults to the one shown
+     * @param {string} name The session name, defaults to today's date
+     * @returns {Promise<Object>} The session
+     */
+    async createSession(threadId = this.activeThreadId, name = null) {
+        const session = this._buildSession(threadId, name);
+        await this.store.saveSession(session);
+        this.sessions.push(session);
+        this.sessionMessages[session.id] = [];
+        logStateChange('Conversations', 'session created', { sessionId: session.id, threadId });
+        return session;
+    }
+
+    /**
+     * Show a session
+     * @param {string} sessionId The session ID
+     */
+    async openSession(sessionId) {
+        await this._openSession(sessionId);
+        await this.render(false);
+    }
+
+    /**
+     * Rename a session
+     * @param {string} sessionId The session ID
+     * @param {string} name The new name
+     */
+    async renameSession(sessionId, name) {
+        const session = this._getSession(sessionId);
+        if (!session || !name?.trim()) return;
+
+        session.name = name.trim();
+        await this.store.saveSession(session);
+        await this.render(false);
+    }
+
+    /**
+     * Archive a session, hiding it from the list, or bring it back
+     * @param {string} sessionId The session ID
+     * @param {boolean} archived Whether the session is archived
+     */
+    async archiveSession(sessionId, archived = true) {
+        const session = this._getSession(sessionId);
+        if (!session) return;
+
+        session.archived = archived;
+        await this.store.saveSession(session);
+        if (archived && sessionId === this.activeSessionId) {
+            await this._openSession(this._getThreadSessions(this.activeThreadId)[0]?.id ?? null);
+        }
+        await this.render(false);
+    }
+
+    /**
+     * Delete a session and its messages
+     * @param {string} sessionId The session ID
+     */
+    async deleteSession(sessionId) {
+        await this.store.deleteSession(sessionId);
+        this.sessions = this.sessions.filter(session => session.id !== sessionId);
+        delete this.sessionMessages[sessionId];
+        logStateChange('Conversations', 'session deleted', { sessionId });
+
+        if (sessionId === this.activeSessionId) {
+            await this._openSession(this._getThreadSessions(this.activeThreadId)[0]?.id ?? null);
+        }
+        await this.render(false);
+    }
+
+    /**
+     * Search every stored message and list the matches in the sidebar
+     * @param {string} query The text to look for
+     */
+    async searchSessions(query) {
+        this.sessionSearch = { query, results: [] };
+        if (query.trim()) {
+            const matches = await this.store.searchMessages(query);
+            this.sessionSearch.results = matches
+                .filter(message => this._getSession(message.sessionId))
+                .map(message => {
+                    const session = this._getSession(message.sessionId);
+                    return {
+                        sessionId: session.id,
+                        sessionName: session.name,
+                        threadLabel: getThreadLabel(session.threadId),
+                        excerpt: this._excerpt(message.content, query),
+                        time: new Date(message.timestamp).toLocaleString()
+                    };
+                });
+        }
+        await this.render(false);
+    }
+
+    /**
+     * Export the thread being shown with all of its sessions
+     * @param {string} format 'markdown', 'json' or 'journal'
+     * @returns {Promise<void>}
+     */
+    async exportThread(format) {
+        const sessions = this._getThreadSessions(this.activeThreadId, true).reverse(); // Oldest first
+        if (!sessions.length) {
+            ui.notifications.warn(game.i18n.localize('frinny.export.empty'));
+            return;
+        }
+
+        const data = buildThreadExport(getThreadLabel(this.activeThreadId), await Promise.all(
+            sessions.map(async session => ({ session, messages: await this._loadSessionMessages(session.id) }))
+        ));
+
+        try {
+            switch (format) {
+                case 'markdown':
+                    saveDataToFile(threadToMarkdown(data), 'text/markdown', getExportFileName(data, 'md'));
+                    break;
+                case 'json':
+                    saveDataToFile(JSON.stringify(data, null, 2), 'application/json', getExportFileName(data, 'json'));
+                    break;
+                case 'journal': {
+                    if (!game.user.can('JOURNAL_CREATE')) {
+                        ui.notifications.warn(game.i18n.localize('frinny.export.noJournalPermission'));
+                        return;
+                    }
+                    const journal = await exportToJournal(data);
+                    ui.notifications.info(game.i18n.format('frinny.export.journalCreated', { name: journal.name }));
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown export format: ${format}`);
+            }
+        } catch (error) {
+            logError('exporting conversation', error, { format, threadId: this.activeThreadId });
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Import the sessions of a JSON export into the thread being shown
+     * @param {Object} data The export data, as returned by parseThreadExport
+     * @returns {Promise<Array<Object>>} The created sessions
+     */
+    async importThread(data) {
+        await this.ready;
+        const created = [];
+        for (const imported of data.sessions) {
+            const session = {
+                ...this._buildSession(this.activeThreadId, imported.name || null),
+                createdAt: imported.createdAt,
+                lastActivity: imported.lastActivity,
+                archived: imported.archived
+            };
+            // New IDs so importing the same file twice doesn't overwrite anything
+            const messages = imported.messages.map(message => ({
+                ...message,
+                id: foundry.utils.randomID(),
+                sessionId: session.id,
+                showFeedback: false
+            }));
+
+            await this.store.putMessages(messages);
+            await this.store.saveSession(session);
+            this.sessions.push(session);
+            this.sessionMessages[session.id] = messages;
+            created.push(session);
+        }
+
+        logStateChange('Conversations', 'imported', { threadId: this.activeThreadId, sessions: created.length });
+        const latest = created.filter(s => !s.archived).sort((a, b) => b.lastActivity - a.lastActivity)[0];
+        if (latest) await this._openSession(latest.id);
+        await this.render(false);
+        return created;
+    }
+
+    /**
+     * Ask which format to export the thread in
+     * @private
+     */
+    _promptExportThread() {
+        new Dialog({
+            title: game.i18n.format('frinny.export.dialogTitle', { thread: getThreadLabel(this.activeThreadId) }),
+            content: `<p>${game.i18n.localize('frinny.export.dialogHint')}</p>`,
+            buttons: {
+                markdown: {
+                    icon: '<i class="fab fa-markdown"></i>',
+                    label: game.i18n.localize('frinny.export.markdown'),
+                    callback: () => this.exportThread('markdown')
+                },
+                json: {
+                    icon: '<i class="fas fa-file-code"></i>',
+                    label: game.i18n.localize('frinny.export.json'),
+                    callback: () => this.exportThread('json')
+                },
+                journal: {
+                    icon: '<i class="fas fa-book-open"></i>',
+                    label: game.i18n.localize('frinny.export.journal'),
+                    callback: () => this.exportThread('journal')
+                }
+            },
+            default: 'markdown'
+        }).render(true);
+    }
+
+    /**
+     * Ask for a JSON export to import into the thread being shown
+     * @private
+     */
+    _promptImportThread() {
+        new Dialog({
+            title: game.i18n.format('frinny.export.importTitle', { thread: getThreadLabel(this.activeThreadId) }),
+            content: `<form><div class="form-group"><input type="file" name="file" accept=".json,application/json" /></div></form>`,
+            buttons: {
+                import: {
+                    icon: '<i class="fas fa-file-import"></i>',
+                    label: game.i18n.localize('frinny.export.import'),
+                    callback: async (html) => {
+                        const file = html.find('input[name="file"]')[0]?.files?.[0];
+                        if (!file) return;
+                        try {
+                            const created = await this.importThread(parseThreadExport(await readTextFromFile(file)));
+                            ui.notifications.info(game.i18n.format('frinny.export.imported', { count: created.length }));
+                        } catch (error) {
+                            logError('importing conversation', error, { fileName: file.name });
+                            ui.notifications.error(error.message);
+                        }
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize('Cancel')
+                }
+            },
+            default: 'import'
+        }).render(true);
+    }
+
+    /**
+     * Save one of Frinny's answers to a journal page, with the question that prompted it
+     * @param {string} messageId Local ID of the assistant message
+     * @param {string} target Page UUID, or NOTES_JOURNAL_TARGET for the user's Frinny Notes journal
+     * @returns {Promise<JournalEntryPage|null>} The updated page, or null if saving failed
+     */
+    async saveMessageToJournal(messageId, target = NOTES_JOURNAL_TARGET) {
+        const { message, sessionId } = await this._findMessage(messageId);
+        if (!message || message.type !== 'assistant') return null;
+
+        // The question is the user's last message before the answer
+        const messages = this.sessionMessages[sessionId] || [];
+        const question = messages
+            .slice(0, messages.indexOf(message))
+            .reverse()
+            .find(m => m.type === 'user');
+
+        try {
+            const page = await saveNoteToJournal(target, {
+                question: question?.content ?? null,
+                answer: message.content,
+                references: message.references,
+                timestamp: message.timestamp
+            });
+            ui.notifications.info(game.i18n.format('frinny.notes.saved', { name: `${page.parent.name}: ${page.name}` }));
+            return page;
+        } catch (error) {
+            logError('saving answer to journal', error, { messageId, target });
+            ui.notifications.error(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Ask which journal page to save an answer to
+     * @param {string} messageId Local ID of the assistant message
+     * @private
+     */
+    _promptSaveToJournal(messageId) {
+        const notesJournal = getNotesJournal();
+        const pages = listWritablePages();
+
+        // The Frinny Notes journal is offered even before it exists, and created on save
+        const options = [
+            ...(notesJournal ? [] : [{ uuid: NOTES_JOURNAL_TARGET, label: game.i18n.localize('frinny.notes.newJournal') }]),
+            ...pages
+        ];
+        const notesPage = notesJournal?.pages.find(page => page.type === 'text' && page.isOwner);
+        const selected = notesPage?.uuid ?? NOTES_JOURNAL_TARGET;
+
+        const select = options.map(option => {
+            const isSelected = option.uuid === selected ? 'selected' : '';
+            return `<option value="${option.uuid}" ${isSelected}>${Handlebars.escapeExpression(option.label)}</option>`;
+        }).join('');
+
+        new Dialog({
+            title: game.i18n.localize('frinny.notes.save'),
+            content: `<form><div class="form-group"><label>${game.i18n.localize('frinny.notes.page')}</label><select name="page">${select}</select></div></form>`,
+            buttons: {
+                save: {
+                    icon: '<i class="fas fa-book"></i>',
+                    label: game.i18n.localize('frinny.notes.save'),
+                    callback: (html) => this.saveMessageToJournal(messageId, html.find('select[name="page"]').val())
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize('Cancel')
+                }
+            },
+            default: 'save'
+        }).render(true);
+    }
+
+    /**
+     * Ask for a session's new name
+     * @param {string} sessionId The session ID
+     * @private
+     */
+    async _promptRenameSession(sessionId) {
+        const session = this._getSession(sessionId);
+        if (!session) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = 'name';
+        input.value = session.name;
+
+        const name = await Dialog.prompt({
+            title: game.i18n.localize('frinny.sessions.rename'),
+            content: `<form><div class="form-group"><label>${game.i18n.localize('frinny.sessions.name')}</label>${input.outerHTML}</div></form>`,
+            label: game.i18n.localize('frinny.sessions.rename'),
+            callback: (html) => html.find('input[name="name"]').val(),
+            rejectClose: false
+        });
+        if (name) await this.renameSession(sessionId, name);
+    }
+
+    /**
+     * Cut a message down to the text around a search match
+     * @param {string} content The message content
+     * @param {string} query The text that matched
+     * @returns {string} The excerpt
+     * @private
+     */
+    _excerpt(content, query) {
+        const text = String(content || '');
+        const index = text.toLowerCase().indexOf(query.trim().toLowerCase());
+        const start = Math.max(0, index - 40);
+        const end = Math.min(text.length, index + query.length + 80);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Pick the thread a backend response belongs in
+     * @param {Object} response The response from AgentManager
+     * @returns {string} The thread of the actor it is about, or the one shown
+     * @private
+     */
+    _getResponseThread(response) {
+        const actor = getThreadActor(response.actorId);
+        return actor ? getThreadId(actor) : this.activeThreadId;
+    }
+
+    async getData() {
         // Get the appropriate avatar URL based on the current state
         let avatarUrl;
         switch (this.avatarState) {
@@ -124,13 +747,309 @@ export class FrinnyChat extends Application {
         }
         
         return {
-            messages: [...this.messages].reverse(), // Create a copy and reverse it to display messages in reverse order
+            // Only the most recent messages of long sessions are shown
+            messages: (await Promise.all(this.messages.slice(-game.settings.get("frinny", "maxMessages")).map(m => this._prepareMessage(m)))).reverse(), // Copy and reverse to display messages in reverse order
             isTyping: this.isTyping,
+            isAwaitingResponse: !!this.activeRequest,
+            creation: this._prepareCreationWizard(),
+            threads: this._prepareThreads(),
+            sessions: this._prepareSessions(),
+            search: this.sessionSearch,
+            showArchived: this.showArchived,
             avatarUrl: avatarUrl,
             isAvatarCollapsed: this.isAvatarCollapsed,
         };
     }
 
+    /**
+     * Build the template data for a message, rendering assistant replies as Markdown
+     * with compendium references turned into content links
+     * @param {Object} message - The stored message
+     * @returns {Promise<Object>} - A copy of the message with contentHtml for assistant replies
+     * @private
+     */
+    async _prepareMessage(message) {
+        // User messages stay plain text, and streaming replies are rendered once complete
+        if (message.type !== 'assistant' || message.streaming) {
+            return { ...message };
+        }
+
+        const actions = (message.actions || []).map(action => ({
+            ...action,
+            label: describeAction(action),
+            isProposed: action.status === ActionStatus.PROPOSED,
+            canUndo: action.status === ActionStatus.APPLIED,
+            statusLabel: game.i18n.localize(`frinny.actions.status.${action.status}`)
+        }));
+
+        // Error notices aren't worth keeping
+        const canSaveToJournal = message.messageType !== 'error';
+
+        const content = appendReferences(message.content, message.references);
+        const cacheKey = message.id || message.messageId;
+        const cached = this.renderedContent.get(cacheKey);
+        if (cached?.content === content) {
+            return { ...message, actions, canSaveToJournal, contentHtml: cached.html };
+        }
+
+        const html = await enrichContent(renderMarkdown(content));
+        if (cacheKey) {
+            this.renderedContent.set(cacheKey, { content, html });
+        }
+        return { ...message, actions, canSaveToJournal, contentHtml: html };
+    }
+
+    /**
+     * Build the template data for the thread selector
+     * @returns {Array<Object>} - The general thread, the user's actors and any other thread with messages
+     * @private
+     */
+    _prepareThreads() {
+        const threadIds = new Set([
+            GENERAL_THREAD,
+            ...listThreadActors().map(actor => getThreadId(actor)),
+            ...this.sessions.map(session => session.threadId)
+        ]);
+        return [...threadIds].map(threadId => ({
+            id: threadId,
+            label: getThreadLabel(threadId),
+            isActive: threadId === this.activeThreadId,
+            isUnread: this.unreadThreads.has(threadId)
+        }));
+    }
+
+    /**
+     * Build the template data for the session sidebar
+     * @returns {Array<Object>} - The active thread's sessions, most recently active first
+     * @private
+     */
+    _prepareSessions() {
+        return this._getThreadSessions(this.activeThreadId, this.showArchived).map(session => ({
+            ...session,
+            isActive: session.id === this.activeSessionId,
+            lastActivityText: new Date(session.lastActivity).toLocaleString()
+        }));
+    }
+
+    /**
+     * Build the template data for the character creation wizard
+     * @returns {Object|null} - Wizard data, or null when no creation is in progress
+     * @private
+     */
+    _prepareCreationWizard() {
+        const state = getCreationState();
+        const actor = state && !state.completed ? game.actors.get(state.actorId) : null;
+        if (!actor) return null;
+
+        const steps = CREATION_STEPS.map(step => {
+            const isComplete = state.completedSteps.includes(step);
+            return {
+                step,
+                label: game.i18n.localize(`frinny.creation.steps.${step}`),
+                status: isComplete ? 'complete' : (step === state.step ? 'current' : 'pending'),
+                isCurrent: step === state.step,
+                choiceText: isComplete ? this._formatCreationChoice(state.choices[step]) : ''
+            };
+        });
+
+        return { actorName: actor.name, steps };
+    }
+
+    /**
+     * Format a creation choice for the wizard
+     * @param {Object|Array|null} choice - The stored choice
+     * @returns {string} - Display text
+     * @private
+     */
+    _formatCreationChoice(choice) {
+        if (!choice) return '';
+        if (Array.isArray(choice)) {
+            return choice.map(c => c?.label || c?.name || String(c).toUpperCase()).join(', ');
+        }
+        return choice.name || '';
+    }
+
+    // Add the character tool buttons to Frinny's header
+    _getHeaderButtons() {
+        const buttons = super._getHeaderButtons();
+        buttons.unshift(...this.getCharacterToolButtons());
+        return buttons;
+    }
+
+    /**
+     * Build the header buttons for Frinny's character tools, shared by Frinny's window and character sheets
+     * @param {Actor} actor - The character, defaults to the user's character when clicked
+     * @returns {Array<Object>} - Header button definitions
+     */
+    getCharacterToolButtons(actor = undefined) {
+        return [{
+            label: game.i18n.localize('frinny.levelPlan.button'),
+            class: 'frinny-level-plan',
+            icon: 'fas fa-level-up-alt',
+            onclick: () => this.openLevelUpPlan(actor)
+        }, {
+            label: game.i18n.localize('frinny.changeLog.button'),
+            class: 'frinny-change-log',
+            icon: 'fas fa-history',
+            onclick: () => this.openChangeLog(actor)
+        }, {
+            label: game.i18n.localize('frinny.encounters.button'),
+            class: 'frinny-encounter-log',
+            icon: 'fas fa-scroll',
+            onclick: () => this.openEncounterLog(actor)
+        }];
+    }
+
+    /**
+     * Open the planner for a character's next level
+     * @param {Actor} actor - The character, defaults to the user's character
+     */
+    openLevelUpPlan(actor = game.user.character) {
+        if (!actor) {
+            ui.notifications.warn(game.i18n.localize('frinny.changeLog.noCharacter'));
+            return;
+        }
+        new LevelUpPlanWindow(actor).render(true);
+    }
+
+    /**
+     * Ask Frinny to plan the character's next level and store the plan
+     * @param {Actor} actor - The character, defaults to the user's character
+     * @returns {Promise<Object|null>} - The stored plan, or null if planning failed
+     */
+    async planNextLevel(actor = game.user.character) {
+        if (!actor || !canModifyCharacter(actor)) {
+            ui.notifications.warn(game.i18n.localize('frinny.levelPlan.cannotPlan'));
+            return null;
+        }
+
+        const currentLevel = actor.system.details.level.value;
+        if (currentLevel >= 20) {
+            ui.notifications.warn(game.i18n.localize('frinny.levelPlan.maxLevel'));
+            return null;
+        }
+
+        if (!this.rendered) {
+            await this.render(true);
+        }
+
+        try {
+            const response = await this.agentManager.requestLevelUpPlan(gatherLevelUpPlanData(actor));
+            const plan = await saveLevelUpPlan(actor, currentLevel + 1, response);
+
+            // The plan's changes are reviewed in the planner rather than as action cards
+            await this.addResponseMessage(response.content, response.messageId, true, {
+                references: response.references || [],
+                threadId: getThreadId(actor)
+            });
+            return plan;
+        } catch (error) {
+            logError('planning next level', error, { actorId: actor.id });
+            await this.addErrorMessage();
+            return null;
+        }
+    }
+
+    /**
+     * Apply the character's stored plan now that it has reached the planned level
+     * @param {Actor} actor - The character
+     */
+    async applyLevelUpPlan(actor) {
+        const plan = getLevelUpPlan(actor);
+        if (!plan) return;
+
+        let results;
+        try {
+            results = await applyLevelUpPlan(actor, plan);
+        } catch (error) {
+            logError('applying level up plan', error, { actorId: actor.id });
+            ui.notifications.error(error.message);
+            return;
+        }
+
+        const failed = results.filter(r => r.status === ActionStatus.FAILED);
+        if (failed.length) {
+            ui.notifications.warn(game.i18n.format('frinny.levelPlan.partiallyApplied', { count: failed.length }));
+        } else {
+            ui.notifications.info(game.i18n.format('frinny.levelPlan.applied', { level: plan.targetLevel }));
+        }
+
+        // Keep the applied changes in the chat so each can still be undone
+        await this.addResponseMessage(
+            game.i18n.format('frinny.levelPlan.appliedMessage', { level: plan.targetLevel }),
+            plan.messageId,
+            false,
+            { actions: results, threadId: getThreadId(actor) }
+        );
+
+        for (const result of results) {
+            try {
+                await this.agentManager.reportActionResult({
+                    messageId: plan.messageId,
+                    actionId: result.id,
+                    actionType: result.type,
+                    actorId: actor.id,
+                    status: result.status,
+                    error: result.error
+                });
+            } catch (error) {
+                logError('reporting action result', error, { actionId: result.id, status: result.status });
+            }
+        }
+    }
+
+    /**
+     * Open the log of changes Frinny has applied to a character
+     * @param {Actor} actor - The character, defaults to the user's character
+     */
+    openChangeLog(actor = game.user.character) {
+        if (!actor) {
+            ui.notifications.warn(game.i18n.localize('frinny.changeLog.noCharacter'));
+            return;
+        }
+        new ChangeLogWindow(actor).render(true);
+    }
+
+    /**
+     * Open the log of a character's past encounters
+     * @param {Actor} actor - The character, defaults to the user's character
+     */
+    openEncounterLog(actor = game.user.character) {
+        if (!actor) {
+            ui.notifications.warn(game.i18n.localize('frinny.changeLog.noCharacter'));
+            return;
+        }
+        new EncounterLogWindow(actor).render(true);
+    }
+
+    /**
+     * Ask Frinny to debrief an encounter that just ended and log it
+     * @param {Combat} combat - The combat being deleted
+     * @param {Actor} actor - The user's character
+     * @param {Object|null} encounter - The tracked encounter, if tracking started
+     * @returns {Promise<Object>} - The logged encounter
+     */
+    async debriefEncounter(combat, actor, encounter) {
+        const encounterData = gatherEncounterData(combat, actor, encounter);
+        await clearActiveEncounter();
+
+        let response = null;
+        try {
+            response = await this.agentManager.notifyCombatEnd(encounterData);
+
+            if (!this.rendered) {
+                await this.render(true);
+            }
+            await this.addAgentResponse(response, getThreadId(actor));
+        } catch (error) {
+            logError('combat end processing', error, { combatId: combat.id });
+            await this.addErrorMessage();
+        }
+
+        // Log the encounter even without a debrief so its numbers aren't lost
+        return saveEncounterLog(actor, encounterData, response);
+    }
+
     // Override render to handle visibility
     async render(force = false, options = {}) {
         // Store isInitialOpen flag if window is not currently rendered but will be
@@ -245,6 +1164,101 @@ export class FrinnyChat extends Application {
             input.val('');
         });
 
+        // Stop the in-flight query
+        html.find('.stop-button').on('click', () => {
+            this._handleStop();
+        });
+
+        // Thread selector
+        html.find('.frinny_thread-select').on('change', (event) => {
+            this.switchThread(event.currentTarget.value);
+        });
+
+        // Session sidebar
+        html.find('.frinny_session-new').on('click', async () => {
+            const session = await this.createSession();
+            await this.openSession(session.id);
+        });
+
+        html.find('.frinny_session-open').on('click', (event) => {
+            this.openSession(event.currentTarget.closest('[data-session-id]').dataset.sessionId);
+        });
+
+        html.find('.frinny_session-rename').on('click', (event) => {
+            const sessionId = event.currentTarget.closest('.frinny_session').dataset.sessionId;
+            this._promptRenameSession(sessionId);
+        });
+
+        html.find('.frinny_session-archive').on('click', (event) => {
+            const sessionId = event.currentTarget.closest('.frinny_session').dataset.sessionId;
+            this.archiveSession(sessionId, !this._getSession(sessionId)?.archived);
+        });
+
+        html.find('.frinny_session-delete').on('click', async (event) => {
+            const sessionId = event.currentTarget.closest('.frinny_session').dataset.sessionId;
+            const confirmed = await Dialog.confirm({
+                title: game.i18n.localize('frinny.sessions.delete'),
+                content: `<p>${game.i18n.format('frinny.sessions.deleteConfirm', {
+                    name: Handlebars.escapeExpression(this._getSession(sessionId)?.name ?? '')
+                })}</p>`
+            });
+            if (confirmed) this.deleteSession(sessionId);
+        });
+
+        html.find('.frinny_session-export').on('click', () => this._promptExportThread());
+        html.find('.frinny_session-import').on('click', () => this._promptImportThread());
+
+        html.find('.frinny_session-show-archived').on('change', (event) => {
+            this.showArchived = event.currentTarget.checked;
+            this.render(false);
+        });
+
+        html.find('.frinny_session-search').on('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.searchSessions(event.currentTarget.value);
+            } else if (event.key === 'Escape' && event.currentTarget.value) {
+                event.preventDefault();
+                this.searchSessions('');
+            }
+        });
+
+        // Character creation wizard
+        html.find('.frinny_creation-complete').on('click', (event) => {
+            const step = event.currentTarget.closest('.frinny_creation-step').dataset.step;
+            const actor = game.actors.get(getCreationState()?.actorId);
+            if (actor) this.advanceCreationStep(actor, step);
+        });
+
+        html.find('.frinny_creation-close').on('click', async () => {
+            await clearCreation();
+            this.render(false);
+        });
+
+        // Proposed action cards
+        html.find('.frinny_action-apply').on('click', (event) => {
+            const messageId = event.currentTarget.closest('.frinny_message').dataset.id;
+            const actionId = event.currentTarget.closest('.frinny_action-card').dataset.actionId;
+            this._handleActionDecision(messageId, actionId, true);
+        });
+
+        html.find('.frinny_action-dismiss').on('click', (event) => {
+            const messageId = event.currentTarget.closest('.frinny_message').dataset.id;
+            const actionId = event.currentTarget.closest('.frinny_action-card').dataset.actionId;
+            this._handleActionDecision(messageId, actionId, false);
+        });
+
+        html.find('.frinny_action-undo').on('click', (event) => {
+            const messageId = event.currentTarget.closest('.frinny_message').dataset.id;
+            const actionId = event.currentTarget.closest('.frinny_action-card').dataset.actionId;
+            this._handleActionUndo(messageId, actionId);
+        });
+
+        // Save an answer to a journal page
+        html.find('.frinny_message-save').on('click', (event) => {
+            this._promptSaveToJournal(event.currentTarget.closest('.frinny_message').dataset.id);
+        });
+
         // Feedback buttons
         html.find('.thumbs-up').on('click', (event) => {
             const messageId = event.currentTarget.closest('.frinny_message').dataset.messageId;
@@ -265,32 +1279,250 @@ export class FrinnyChat extends Application {
     async _handlePrivateMessage(content) {
         if (!content.trim()) return;
         console.log('_handlePrivateMessage called', { content });
+        
+        // The reply goes to the thread the question was asked in, even if the user switches away
+        const threadId = this.activeThreadId;
+
+        // Tracks the assistant bubble being streamed for this query
+        const stream = { message: null, sessionId: null };
+        let userMessage = null;
 
         try {
             // Add user message to private chat
-            await this.addUserMessage(content);
+            userMessage = await this.addUserMessage(content);
+            const { sessionId } = await this._findMessage(userMessage.id);
+            stream.sessionId = sessionId;
 
-            // Get response from agent
+            // Only this session's history and its thread's actor are sent as context,
+            // with the summary standing in for messages it already covers
+            const summary = this._getSession(sessionId)?.summary ?? null;
+            const history = getUnsummarizedMessages(this._getContextMessages(sessionId), summary)
+                .filter(m => m.id !== userMessage.id);
+
+            // Get response from agent, rendering streamed chunks as they arrive
             console.log('Calling handlePrivateQuery');
-            const response = await this.agentManager.handlePrivateQuery(game.user.id, content);
+            const response = await this.agentManager.handlePrivateQuery(game.user.id, content, {
+                history,
+                actorId: getThreadActor(threadId)?.id ?? null,
+                summary: summary?.content ?? null,
+                onChunk: (chunk) => this._handleStreamChunk(stream, chunk),
+                onQueued: () => this._updateMessage(userMessage.id, { pending: true }),
+                onRequestId: (requestId) => {
+                    this.activeRequest = { requestId, userMessageId: userMessage.id };
+                    this.render(false);
+                },
+                clientMessageId: userMessage.id
+            });
             console.log('Got response from handlePrivateQuery', response);
             
+            // A queued message has now been delivered
+            if (userMessage.pending) {
+                await this._updateMessage(userMessage.id, { pending: false });
+            }
+            
             // Set avatar to happy state briefly to acknowledge successful response
             this._setAvatarState('happy', 2000); // Show happy for 2 seconds
             
-            // Add response to private chat
-            await this.addResponseMessage(response.content, response.messageId);
+            // Add response to private chat, completing the streamed bubble if there is one
+            if (stream.message) {
+                await this._finalizeStreamMessage(stream.message, {
+                    content: response.content ?? stream.message.content,
+                    messageId: response.messageId,
+                    references: response.references || [],
+                    actions: normalizeActions(response.actions, response.actorId),
+                    showFeedback: true
+                }, stream.sessionId);
+            } else {
+                await this.addAgentResponse(response, threadId, stream.sessionId);
+            }
+
+            // Fold older messages into the summary once the session grows long, without holding up the reply
+            this._summarizeIfNeeded(stream.sessionId);
         } catch (error) {
+            // Keep whatever was streamed before the failure
+            if (stream.message) {
+                await this._finalizeStreamMessage(stream.message, { showFeedback: false }, stream.sessionId);
+            }
+
+            // Stopped by the user, mark the question rather than showing an error
+            if (error instanceof RequestCancelledError) {
+                logStateChange('Private query', 'cancelled by user', { requestId: error.requestId });
+                this._setAvatarState('default');
+                if (userMessage) {
+                    await this._updateMessage(userMessage.id, { pending: false, cancelled: true });
+                }
+                return;
+            }
+
             logError('getting AI response', error);
             
             // Set avatar to confused state to indicate an error
             this._setAvatarState('confused', 2000); // Show confused for 2 seconds
             
+            if (userMessage?.pending) {
+                await this._updateMessage(userMessage.id, { pending: false });
+            }
 
             await this.addErrorMessage();
+        } finally {
+            if (this.activeRequest?.userMessageId === userMessage?.id) {
+                this.activeRequest = null;
+                this.render(false);
+            }
         }
     }
 
+    /**
+     * Get the messages of a session that can serve as context
+     * @param {string} sessionId The session ID
+     * @returns {Array<Object>} Completed messages other than error notices, oldest first
+     * @private
+     */
+    _getContextMessages(sessionId) {
+        return (this.sessionMessages[sessionId] || []).filter(m => !m.streaming && m.messageType !== 'error');
+    }
+
+    /**
+     * Ask the backend to summarize a session's older messages once enough have built up
+     * @param {string} sessionId The session ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _summarizeIfNeeded(sessionId) {
+        const session = this._getSession(sessionId);
+        const messages = this._getContextMessages(sessionId);
+        if (!session || this.summarizing.has(sessionId) || !needsSummary(messages, session.summary)) return;
+
+        const toSummarize = selectMessagesToSummarize(messages, session.summary);
+        const last = toSummarize[toSummarize.length - 1];
+        this.summarizing.add(sessionId);
+        try {
+            const response = await this.agentManager.requestSummary({
+                sessionId,
+                actorId: getThreadActor(session.threadId)?.id ?? null,
+                previous_summary: session.summary?.content ?? null,
+                messages: toConversationHistory(toSummarize)
+            });
+            const content = response.summary ?? response.content;
+            if (!content) return;
+
+            session.summary = {
+                content,
+                throughMessageId: last.id,
+                throughTimestamp: last.timestamp,
+                updatedAt: Date.now()
+            };
+            // The session may have been deleted while waiting
+            if (this._getSession(sessionId)) {
+                await this.store.saveSession(session);
+            }
+            logStateChange('Conversations', 'summary updated', { sessionId, summarized: toSummarize.length });
+        } catch (error) {
+            logError('summarizing conversation', error, { sessionId });
+        } finally {
+            this.summarizing.delete(sessionId);
+        }
+    }
+
+    /**
+     * Cancel the in-flight private query
+     * @private
+     */
+    async _handleStop() {
+        if (!this.activeRequest) return;
+
+        const { requestId } = this.activeRequest;
+        try {
+            await this.agentManager.cancelRequest(requestId);
+        } catch (error) {
+            logError('cancelling request', error, { requestId });
+        }
+    }
+
+    /**
+     * Handle the reply to a request that was queued before the window was reloaded
+     * @param {Object} entry - The queue entry that was replayed
+     * @param {Object|null} response - The backend response, if successful
+     * @param {Error|null} error - The failure, if unsuccessful
+     * @private
+     */
+    async _handleQueuedResponse(entry, response, error) {
+        // Only replies to chat queries belong in the chat, event replies have no caller left to handle them
+        if (entry.type !== 'query') {
+            if (error) {
+                logError('replaying queued request', error, { requestId: entry.requestId, type: entry.type });
+            } else {
+                logStateChange('Outbound queue', 'replayed event reply dropped', {
+                    requestId: entry.requestId,
+                    action: entry.payload?.payload?.action ?? null
+                });
+            }
+            return;
+        }
+
+        const { sessionId } = await this._findMessage(entry.clientMessageId);
+        if (entry.clientMessageId) {
+            await this._updateMessage(entry.clientMessageId, { pending: false });
+        }
+
+        if (error) {
+            logError('replaying queued request', error, { requestId: entry.requestId });
+            await this.addErrorMessage();
+            return;
+        }
+
+        // Show Frinny's window so the late reply is noticed
+        if (!this.rendered) {
+            await this.render(true);
+        }
+        await this.addAgentResponse(response, undefined, sessionId);
+    }
+
+    /**
+     * Append a streamed chunk to the in-progress assistant message
+     * @param {Object} stream - Stream state holding the in-progress message
+     * @param {Object} chunk - The chunk from the backend, new text in `content`
+     * @private
+     */
+    _handleStreamChunk(stream, chunk) {
+        if (!stream.message) {
+            // First chunk: create the bubble without persisting it yet
+            stream.message = {
+                id: foundry.utils.randomID(),
+                type: 'assistant',
+                content: '',
+                timestamp: Date.now(),
+                showFeedback: false,
+                streaming: true
+            };
+            (this.sessionMessages[stream.sessionId] ?? []).push(stream.message);
+            this.isTyping = false;
+        }
+
+        stream.message.content += chunk.content || '';
+
+        // Update the bubble in place rather than re-rendering the whole window per chunk
+        const contentElement = this.element?.find(`.frinny_message[data-id="${stream.message.id}"] .content`);
+        if (contentElement?.length) {
+            contentElement.text(stream.message.content);
+        } else {
+            this.render(false);
+        }
+    }
+
+    /**
+     * Complete a streamed message and persist it
+     * @param {Object} message - The streamed message
+     * @param {Object} updates - Final values to apply
+     * @param {string} sessionId - The session holding the message
+     * @private
+     */
+    async _finalizeStreamMessage(message, updates = {}, sessionId = this.activeSessionId) {
+        Object.assign(message, updates, { streaming: false, timestamp: Date.now() });
+        await this._saveMessage(message, sessionId);
+        await this.render(false);
+    }
+
     /**
      * Handle sending a message to Frinny from the public chat
      * @param {string} content - The message content
@@ -308,7 +1540,7 @@ export class FrinnyChat extends Application {
             
             // Create Foundry chat message for Frinny's response
             await ChatMessage.create({
-                content: response.content,
+                content: renderMarkdown(appendReferences(response.content, response.references)),
                 speaker: { 
                     alias: 'Frinny', 
                 },
@@ -343,6 +1575,30 @@ export class FrinnyChat extends Application {
         }
     }
 
+    /**
+     * Whisper Frinny's advice for an NPC's turn to the GMs
+     * @param {Combatant} combatant - The NPC whose turn it is
+     * @param {Object} response - The npc_turn response from AgentManager
+     * @returns {Promise<ChatMessage>}
+     */
+    async whisperTacticalAdvice(combatant, response) {
+        const heading = game.i18n.format('frinny.tactics.heading', { name: combatant.name });
+        return ChatMessage.create({
+            content: renderMarkdown(`**${heading}**\n\n${appendReferences(response.content, response.references)}`),
+            speaker: {
+                alias: 'Frinny',
+            },
+            whisper: ChatMessage.getWhisperRecipients('GM'),
+            type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+            flags: {
+                frinny: {
+                    isFrinnyMessage: true,
+                    messageType: 'tactical'
+                }
+            }
+        });
+    }
+
     /**
      * Route message handling based on source
      * @param {string} content - The message content
@@ -382,6 +1638,154 @@ export class FrinnyChat extends Application {
         }
     }
 
+    /**
+     * Open the creation wizard for a character, once per session
+     * @param {Actor} actor - The character being created
+     * @returns {Promise<boolean>} - Whether the wizard was opened, false if already shown
+     */
+    async showCreationWizard(actor) {
+        if (this.creationActorId === actor.id) {
+            if (this.rendered) this.render(false);
+            return false;
+        }
+        this.creationActorId = actor.id;
+        await this.render(true);
+        return true;
+    }
+
+    /**
+     * Complete a creation step and ask Frinny about the next one
+     * @param {Actor} actor - The character being created
+     * @param {string} step - The completed step
+     */
+    async advanceCreationStep(actor, step) {
+        const state = await completeCreationStep(actor, step);
+        if (!state) return;
+
+        if (!this.rendered) {
+            await this.render(true);
+        } else {
+            await this.render(false);
+        }
+
+        try {
+            const response = await this.agentManager.notifyCharacterCreationStep({
+                ...gatherBasicCharacterData(actor),
+                step,
+                choice: getStepChoice(actor, step),
+                nextStep: state.step,
+                completedSteps: state.completedSteps,
+                choices: state.choices
+            });
+            await this.addAgentResponse(response, getThreadId(actor));
+        } catch (error) {
+            logError('character creation step', error, { actorId: actor.id, step });
+            await this.addErrorMessage();
+        }
+    }
+
+    /**
+     * Show character changes proposed through a character_update message
+     * @param {Object} data - The character_update message
+     * @param {Array<Object>} actions - The proposed actions
+     * @private
+     */
+    async _handleProposedActions(data, actions) {
+        if (!this.rendered) {
+            await this.render(true);
+        }
+        await this.addResponseMessage(
+            data.content || game.i18n.localize('frinny.actions.proposed'),
+            data.message_id || null,
+            false,
+            { actions, threadId: this._getResponseThread(data) }
+        );
+    }
+
+    /**
+     * Apply or dismiss a proposed action and report the outcome to the backend
+     * @param {string} messageId - Local ID of the message holding the action
+     * @param {string} actionId - The action ID
+     * @param {boolean} apply - Whether the player approved the action
+     * @private
+     */
+    async _handleActionDecision(messageId, actionId, apply) {
+        // The card may be in another thread or session than the one shown
+        const { message, sessionId } = await this._findMessage(messageId);
+        const action = message?.actions?.find(a => a.id === actionId);
+        if (!action || action.status !== ActionStatus.PROPOSED) return;
+
+        let status = ActionStatus.DISMISSED;
+        let errorMessage = null;
+        if (apply) {
+            try {
+                await applyAction(action, { messageId });
+                status = ActionStatus.APPLIED;
+                ui.notifications.info(game.i18n.format('frinny.actions.appliedNotice', { action: describeAction(action) }));
+            } catch (error) {
+                logError('applying Frinny action', error, { actionId, type: action.type });
+                status = ActionStatus.FAILED;
+                errorMessage = error.message;
+                ui.notifications.error(game.i18n.format('frinny.actions.failedNotice', { error: error.message }));
+            }
+        }
+
+        action.status = status;
+        action.error = errorMessage;
+        await this._saveMessage(message, sessionId);
+        await this.render(false);
+
+        try {
+            await this.agentManager.reportActionResult({
+                messageId: message.messageId,
+                actionId,
+                actionType: action.type,
+                actorId: action.actorId,
+                status,
+                error: errorMessage
+            });
+        } catch (error) {
+            logError('reporting action result', error, { actionId, status });
+        }
+    }
+
+    /**
+     * Undo an applied action using the character's change log
+     * @param {string} messageId - Local ID of the message holding the action
+     * @param {string} actionId - The action ID
+     * @private
+     */
+    async _handleActionUndo(messageId, actionId) {
+        // The card may be in another thread or session than the one shown
+        const { message, sessionId } = await this._findMessage(messageId);
+        const action = message?.actions?.find(a => a.id === actionId);
+        if (!action || action.status !== ActionStatus.APPLIED) return;
+
+        try {
+            await revertAction(action);
+            action.status = ActionStatus.UNDONE;
+            await this._saveMessage(message, sessionId);
+            await this.render(false);
+            ui.notifications.info(game.i18n.localize('frinny.changeLog.undone'));
+        } catch (error) {
+            logError('undoing Frinny action', error, { actionId, type: action.type });
+            ui.notifications.error(error.message);
+            return;
+        }
+
+        try {
+            await this.agentManager.reportActionResult({
+                messageId: message.messageId,
+                actionId,
+                actionType: action.type,
+                actorId: action.actorId,
+                status: ActionStatus.UNDONE
+            });
+        } catch (error) {
+            logError('reporting action result', error, { actionId, status: ActionStatus.UNDONE });
+        }
+    }
+
     /**
      * Sets the avatar state and handles temporary states
      * @param {string} state - The state to set ('default', 'thinking', 'happy', 'confused')
@@ -502,11 +1906,13 @@ export class FrinnyChat extends Application {
      * @param {string} content - The message content
      * @param {string|null} messageId - Optional message ID from backend
      * @param {boolean} showFeedback - Whether to show feedback buttons
-     * @returns {Promise<void>}
+     * @param {Object} details - Structured response data to keep with the message (e.g. references)
+     * @returns {Promise<Object>}
      */
-    async addResponseMessage(content, messageId = null, showFeedback = true) {
+    async addResponseMessage(content, messageId = null, showFeedback = true, details = {}) {
         console.log('addResponseMessage called', { content, messageId, showFeedback });
         return this._addMessage({
+            ...details,
             type: 'assistant',
             content: content,
             timestamp: Date.now(),
@@ -514,6 +1920,22 @@ export class FrinnyChat extends Application {
             messageId: messageId
         });
     }
+
+    /**
+     * Add a backend response to the chat, keeping its structured data
+     * @param {Object} response - The response from AgentManager
+     * @param {string} threadId - The thread to add it to, defaults to the thread of the actor it is about
+     * @param {string|null} sessionId - The session to add it to, defaults to the thread's current session
+     * @returns {Promise<Object>}
+     */
+    async addAgentResponse(response, threadId = this._getResponseThread(response), sessionId = null) {
+        return this.addResponseMessage(response.content, response.messageId, true, {
+            references: response.references || [],
+            actions: normalizeActions(response.actions, response.actorId),
+            threadId,
+            sessionId
+        });
+    }
     
     /**
      * Add an error message from Frinny
@@ -0,0 +1,256 @@
+/**
+ * Utility functions for proposed character changes suggested by Frinny.
+ * Actions are shown to the player as cards and only applied once approved.
+ */
+
+import ProficiencyManager from './proficiency-manager.js';
+import { referenceToUuid } from './referenceUtils.js';
+import { logStateChange } from './logUtils.js';
+import { recordChange, undoAction, ChangeKind } from './changeLogUtils.js';
+
+/**
+ * Supported action types
+ */
+export const ActionType = {
+    SET_SKILL_RANK: 'set_skill_rank',
+    SET_PROFICIENCY: 'set_proficiency',
+    ADD_FEAT: 'add_feat',
+    SET_ABILITY_BOOST: 'set_ability_boost'
+};
+
+/**
+ * Lifecycle of a proposed action
+ */
+export const ActionStatus = {
+    PROPOSED: 'proposed',
+    APPLIED: 'applied',
+    DISMISSED: 'dismissed',
+    FAILED: 'failed',
+    UNDONE: 'undone'
+};
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+// Levels at which PF2e characters get attribute boosts
+const BOOST_LEVELS = [1, 5, 10, 15, 20];
+
+/**
+ * Normalizes actions from a backend response so they can be stored with a message
+ * @param {Array<Object>} actions - Raw actions from the backend
+ * @param {string|null} actorId - Actor the actions apply to when they don't name one
+ * @returns {Array<Object>} - Actions with id, actorId and status
+ */
+export function normalizeActions(actions = [], actorId = null) {
+    return actions
+        .filter(action => Object.values(ActionType).includes(action?.type))
+        .map(action => ({
+            ...action,
+            id: action.id || foundry.utils.randomID(),
+            actorId: action.actorId || actorId || game.user.character?.id || null,
+            status: action.status || ActionStatus.PROPOSED
+        }));
+}
+
+/**
+ * Converts a character_update payload into proposed actions.
+ * Accepts `updates.skills` ({ "Acrobatics": "expert", "Warfare Lore": "trained" }) and
+ * `updates.proficiencies` ([{ category: "save", key: "fortitude", rank: "expert" }]).
+ * Skill names may also name saves, perception, armor, weapons or traditions.
+ * @param {Object} data - The character_update message
+ * @returns {Array<Object>} - Proposed actions
+ */
+export function actionsFromCharacterUpdate(data) {
+    const skillActions = Object.entries(data.updates?.skills || {}).map(([name, rank]) => ({
+        type: ActionType.SET_PROFICIENCY,
+        ...ProficiencyManager.parseTarget(name),
+        rank
+    }));
+    const proficiencyActions = (data.updates?.proficiencies || []).map(update => ({
+        type: ActionType.SET_PROFICIENCY,
+        category: update.category || ProficiencyManager.parseTarget(update.key).category,
+        key: update.key,
+        rank: update.rank
+    }));
+    return normalizeActions([...skillActions, ...proficiencyActions], data.actorId);
+}
+
+/**
+ * Gets the proficiency rank name for a numeric or named rank
+ * @param {number|string} rank - The rank value
+ * @returns {string} - The rank name (e.g. "expert")
+ */
+export function rankName(rank) {
+    if (typeof rank === 'number') {
+        return Object.keys(ProficiencyManager.PROFICIENCY_RANKS)
+            .find(name => ProficiencyManager.PROFICIENCY_RANKS[name] === rank) || String(rank);
+    }
+    return String(rank).toLowerCase();
+}
+
+/**
+ * Builds a human readable label for an action
+ * @param {Object} action - The action
+ * @returns {string} - The label
+ */
+export function describeAction(action) {
+    if (action.label) return action.label;
+
+    switch (action.type) {
+        case ActionType.SET_SKILL_RANK:
+            return game.i18n.format('frinny.actions.setSkillRank', {
+                skill: action.skill,
+                rank: game.i18n.localize(`frinny.ranks.${rankName(action.rank)}`)
+            });
+        case ActionType.SET_PROFICIENCY:
+            return game.i18n.format('frinny.actions.setProficiency', {
+                name: action.key,
+                rank: game.i18n.localize(`frinny.ranks.${rankName(action.rank)}`)
+            });
+        case ActionType.ADD_FEAT:
+            return game.i18n.format('frinny.actions.addFeat', { feat: action.name || action.uuid });
+        case ActionType.SET_ABILITY_BOOST:
+            return game.i18n.format('frinny.actions.setAbilityBoost', {
+                ability: action.ability?.toUpperCase(),
+                level: action.level ?? ''
+            });
+        default:
+            return action.type;
+    }
+}
+
+/**
+ * Gets the actor an action applies to, checking the user may change it
+ * @param {Object} action - The action
+ * @returns {Actor} - The actor
+ * @throws {Error} - If the actor is missing or not owned by the user
+ */
+function getActionActor(action) {
+    const actor = game.actors.get(action.actorId);
+    if (!actor) {
+        throw new Error(`Character with ID ${action.actorId} not found`);
+    }
+    if (!actor.isOwner) {
+        throw new Error(`You do not have permission to modify ${actor.name}`);
+    }
+    return actor;
+}
+
+/**
+ * Applies a proposed action to its actor, journaling the change so it can be undone
+ * @param {Object} action - The action to apply
+ * @param {Object} context - Where the action came from
+ * @param {string} context.messageId - Local ID of the chat message holding the action
+ * @returns {Promise<Object>} - Details of the applied change
+ * @throws {Error} - If the action is invalid or fails to apply
+ */
+export async function applyAction(action, { messageId = null } = {}) {
+    const actor = getActionActor(action);
+    const journal = {
+        actionId: action.id,
+        messageId,
+        label: describeAction(action)
+    };
+
+    switch (action.type) {
+        case ActionType.SET_SKILL_RANK:
+        case ActionType.SET_PROFICIENCY: {
+            const category = action.category || ProficiencyManager.CATEGORIES.SKILL;
+            const key = action.key || action.skill;
+            const change = await ProficiencyManager.setProficiency(actor.id, category, key, action.rank);
+
+            let kind = ChangeKind.UPDATE;
+            if (change.created) {
+                kind = ChangeKind.CREATE_ITEM;
+            } else if (change.itemId) {
+                kind = ChangeKind.UPDATE_ITEM;
+            }
+            await recordChange(actor, {
+                ...journal,
+                kind,
+                path: change.path,
+                itemId: change.itemId,
+                previous: change.previous,
+                next: change.next
+            });
+            break;
+        }
+        case ActionType.ADD_FEAT: {
+            const uuid = referenceToUuid(action);
+            const feat = uuid ? await fromUuid(uuid) : null;
+            if (!feat || feat.documentName !== 'Item') {
+                throw new Error(`Feat ${action.name || uuid} not found`);
+            }
+
+            const itemData = feat.toObject();
+            if (action.level) {
+                foundry.utils.setProperty(itemData, 'system.level.taken', action.level);
+            }
+            if (action.location) {
+                foundry.utils.setProperty(itemData, 'system.location', action.location);
+            }
+            const [created] = await actor.createEmbeddedDocuments('Item', [itemData]);
+            await recordChange(actor, {
+                ...journal,
+                kind: ChangeKind.CREATE_ITEM,
+                itemId: created.id,
+                previous: null,
+                next: created.name
+            });
+            break;
+        }
+        case ActionType.SET_ABILITY_BOOST: {
+            const ability = action.ability?.toLowerCase();
+            if (!ABILITIES.includes(ability)) {
+                throw new Error(`Invalid ability: ${action.ability}`);
+            }
+
+            // PF2e stores level-based boosts as an array per boost level
+            const level = Number(action.level);
+            if (!BOOST_LEVELS.includes(level)) {
+                throw new Error(`Invalid boost level: ${action.level ?? 'none given'}`);
+            }
+            const path = `system.build.attributes.boosts.${level}`;
+            const boosts = foundry.utils.getProperty(actor._source, path) || [];
+            if (!boosts.includes(ability)) {
+                const next = [...boosts, ability];
+                await actor.update({ [path]: next });
+                await recordChange(actor, {
+                    ...journal,
+                    kind: ChangeKind.UPDATE,
+                    path,
+                    previous: boosts,
+                    next
+                });
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unsupported action type: ${action.type}`);
+    }
+
+    logStateChange('Frinny action', 'applied', {
+        actionId: action.id,
+        type: action.type,
+        actorId: actor.id
+    });
+    return { actorId: actor.id };
+}
+
+/**
+ * Reverts a previously applied action using the actor's change log
+ * @param {Object} action - The applied action
+ * @returns {Promise<number>} - Number of changes undone
+ * @throws {Error} - If the actor is missing or not owned by the user
+ */
+export async function revertAction(action) {
+    const actor = getActionActor(action);
+    const count = await undoAction(actor, action.id);
+
+    logStateChange('Frinny action', 'undone', {
+        actionId: action.id,
+        type: action.type,
+        actorId: actor.id,
+        changes: count
+    });
+    return count;
+}
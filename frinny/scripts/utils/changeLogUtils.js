@@ -0,0 +1,121 @@
+/**
+ * Utility functions for journaling the character changes Frinny applies,
+ * so each one can be reviewed and undone later.
+ * Entries are stored newest last in the actor's frinny.changeLog flag.
+ */
+
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Kinds of recorded change
+ */
+export const ChangeKind = {
+    // An actor field was updated: { path, previous, next }
+    UPDATE: 'update',
+    // An embedded item was created: { itemId, next: item name }
+    CREATE_ITEM: 'create_item',
+    // An embedded item was updated: { itemId, path, previous, next }
+    UPDATE_ITEM: 'update_item'
+};
+
+/**
+ * Maximum number of entries kept per actor
+ */
+const MAX_ENTRIES = 200;
+
+/**
+ * Gets the change log for an actor
+ * @param {Actor} actor - The character actor
+ * @returns {Array<Object>} - Journal entries, oldest first
+ */
+export function getChangeLog(actor) {
+    return actor?.getFlag('frinny', 'changeLog') || [];
+}
+
+/**
+ * Records a change Frinny applied to an actor
+ * @param {Actor} actor - The character actor
+ * @param {Object} change - The change (kind, label, path/itemId, previous, next, actionId, messageId)
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function recordChange(actor, change) {
+    const entry = {
+        ...change,
+        id: foundry.utils.randomID(),
+        timestamp: Date.now(),
+        undone: false
+    };
+
+    const log = [...getChangeLog(actor), entry].slice(-MAX_ENTRIES);
+    await actor.setFlag('frinny', 'changeLog', log);
+
+    logStateChange('Change log', 'entry recorded', {
+        actorId: actor.id,
+        kind: entry.kind,
+        path: entry.path,
+        itemId: entry.itemId
+    });
+    return entry;
+}
+
+/**
+ * Reverts a recorded change
+ * @param {Actor} actor - The character actor
+ * @param {string} changeId - The entry ID
+ * @returns {Promise<Object>} - The updated entry
+ * @throws {Error} - If the entry doesn't exist or was already undone
+ */
+export async function undoChange(actor, changeId) {
+    const log = getChangeLog(actor);
+    const entry = log.find(e => e.id === changeId);
+    if (!entry) {
+        throw new Error(`Change ${changeId} not found for ${actor.name}`);
+    }
+    if (entry.undone) {
+        throw new Error(`Change ${changeId} was already undone`);
+    }
+
+    switch (entry.kind) {
+        case ChangeKind.UPDATE:
+            await actor.update({ [entry.path]: entry.previous });
+            break;
+        case ChangeKind.CREATE_ITEM:
+            if (actor.items.has(entry.itemId)) {
+                await actor.deleteEmbeddedDocuments('Item', [entry.itemId]);
+            }
+            break;
+        case ChangeKind.UPDATE_ITEM: {
+            const item = actor.items.get(entry.itemId);
+            if (!item) {
+                throw new Error(`Item ${entry.itemId} no longer exists on ${actor.name}`);
+            }
+            await item.update({ [entry.path]: entry.previous });
+            break;
+        }
+        default:
+            throw new Error(`Unsupported change kind: ${entry.kind}`);
+    }
+
+    const updated = log.map(e => e.id === changeId ? { ...e, undone: true, undoneAt: Date.now() } : e);
+    await actor.setFlag('frinny', 'changeLog', updated);
+
+    logStateChange('Change log', 'entry undone', { actorId: actor.id, changeId });
+    return updated.find(e => e.id === changeId);
+}
+
+/**
+ * Reverts every change recorded for an action, newest first
+ * @param {Actor} actor - The character actor
+ * @param {string} actionId - The action whose changes should be undone
+ * @returns {Promise<number>} - Number of changes undone
+ */
+export async function undoAction(actor, actionId) {
+    const entries = getChangeLog(actor)
+        .filter(e => e.actionId === actionId && !e.undone)
+        .reverse();
+
+    for (const entry of entries) {
+        await undoChange(actor, entry.id);
+    }
+    return entries.length;
+}
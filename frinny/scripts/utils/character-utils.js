@@ -1,4 +1,4 @@
-import SkillProficiencyManager from "./skill-proficiency-manager.js"
+import ProficiencyManager from "./proficiency-manager.js"
 
 /**
  * Utility functions for character management in Foundry VTT
@@ -53,12 +53,14 @@ class CharacterUtils {
       throw new Error(`No character found for user ${userId}`);
     }
     
-    // Use the SkillProficiencyManager to update the skill
-    return await SkillProficiencyManager.modifySkillProficiency(
+    // Use the ProficiencyManager to update the skill
+    await ProficiencyManager.setProficiency(
       character.id,
+      ProficiencyManager.CATEGORIES.SKILL,
       skillName,
       proficiencyLevel
     );
+    return true;
   }
 }
 
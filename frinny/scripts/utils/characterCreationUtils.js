@@ -0,0 +1,216 @@
+/**
+ * Utility functions for the guided character creation flow.
+ * Progress is stored in the user's frinny.characterCreation flag so it can be resumed.
+ */
+
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Creation steps, in the order the wizard walks through them
+ */
+export const CreationStep = {
+    ANCESTRY: 'ancestry',
+    HERITAGE: 'heritage',
+    BACKGROUND: 'background',
+    CLASS: 'class',
+    BOOSTS: 'boosts',
+    SKILLS: 'skills',
+    FEATS: 'feats'
+};
+
+export const CREATION_STEPS = Object.values(CreationStep);
+
+// Free ability boosts every character picks at level 1
+const LEVEL_ONE_FREE_BOOSTS = 4;
+
+/**
+ * Gets the stored creation progress
+ * @returns {Object|null} - The progress, or null if no creation is tracked
+ */
+export function getCreationState() {
+    return game.user.getFlag('frinny', 'characterCreation') || null;
+}
+
+/**
+ * Checks whether a character has a creation in progress
+ * @param {Actor} actor - The character actor
+ * @returns {boolean} - Whether the wizard is tracking this character
+ */
+export function isCreationInProgress(actor) {
+    const state = getCreationState();
+    return !!state && state.actorId === actor?.id && !state.completed;
+}
+
+/**
+ * Gets the creation step an item on the sheet belongs to
+ * @param {Item} item - The embedded item
+ * @returns {string|null} - The step, or null if the item isn't a creation choice
+ */
+export function getStepForItem(item) {
+    switch (item.type) {
+        case 'ancestry':
+            return CreationStep.ANCESTRY;
+        case 'heritage':
+            return CreationStep.HERITAGE;
+        case 'background':
+            return CreationStep.BACKGROUND;
+        case 'class':
+            return CreationStep.CLASS;
+        case 'feat':
+            return ['ancestry', 'class'].includes(item.system.category) ? CreationStep.FEATS : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Gets the steps whose choice can be read from the sheet.
+ * Skills can't be told apart from those granted by the background and class,
+ * so that step is only completed from the wizard.
+ * @param {Actor} actor - The character actor
+ * @returns {Array<string>} - Steps that look complete
+ */
+export function detectCompletedSteps(actor) {
+    const hasItem = type => actor.items.some(i => i.type === type);
+    const featCategories = actor.items
+        .filter(i => i.type === 'feat')
+        .map(i => i.system.category);
+    const freeBoosts = foundry.utils.getProperty(actor._source, 'system.build.attributes.boosts.1') || [];
+
+    return CREATION_STEPS.filter(step => {
+        switch (step) {
+            case CreationStep.BOOSTS:
+                return freeBoosts.length >= LEVEL_ONE_FREE_BOOSTS;
+            case CreationStep.SKILLS:
+                return false;
+            case CreationStep.FEATS:
+                return featCategories.includes('ancestry') && featCategories.includes('class');
+            default:
+                return hasItem(step);
+        }
+    });
+}
+
+/**
+ * Reads the choice made for a step from the sheet
+ * @param {Actor} actor - The character actor
+ * @param {string} step - The creation step
+ * @returns {Object|Array|null} - The choice sent to the backend and shown in the wizard
+ */
+export function getStepChoice(actor, step) {
+    const describeItem = item => ({
+        id: item.id,
+        name: item.name,
+        uuid: item._stats?.compendiumSource ?? item.flags?.core?.sourceId ?? null
+    });
+
+    switch (step) {
+        case CreationStep.BOOSTS:
+            return foundry.utils.getProperty(actor._source, 'system.build.attributes.boosts.1') || [];
+        case CreationStep.SKILLS:
+            return Object.entries(actor.system.skills || {})
+                .filter(([, skill]) => skill.rank > 0)
+                .map(([key, skill]) => ({ key, label: skill.label || key, rank: skill.rank }));
+        case CreationStep.FEATS:
+            return actor.items
+                .filter(i => getStepForItem(i) === CreationStep.FEATS)
+                .map(describeItem);
+        default: {
+            const item = actor.items.find(i => i.type === step);
+            return item ? describeItem(item) : null;
+        }
+    }
+}
+
+/**
+ * Works out the first step that hasn't been completed
+ * @param {Array<string>} completedSteps - Completed steps
+ * @returns {string|null} - The next step, or null when every step is done
+ */
+function nextStep(completedSteps) {
+    return CREATION_STEPS.find(step => !completedSteps.includes(step)) || null;
+}
+
+/**
+ * Saves creation progress
+ * @param {Object} state - The progress to store
+ * @returns {Promise<Object>} - The stored progress
+ */
+async function saveCreationState(state) {
+    const updated = { ...state, timestamp: Date.now() };
+    await game.user.setFlag('frinny', 'characterCreation', updated);
+    logStateChange('Character Creation', 'progress saved', {
+        actorId: updated.actorId,
+        step: updated.step,
+        completedSteps: updated.completedSteps
+    });
+    return updated;
+}
+
+/**
+ * Starts tracking creation for a character, or resumes it if it's already tracked.
+ * Choices made on the sheet while the wizard wasn't watching are picked up.
+ * @param {Actor} actor - The character actor
+ * @returns {Promise<{state: Object, resumed: boolean}>} - The progress and whether it was resumed
+ */
+export async function startCreation(actor) {
+    const existing = getCreationState();
+    const resumed = existing?.actorId === actor.id && !existing.completed;
+
+    const completedSteps = [...new Set([
+        ...(resumed ? existing.completedSteps || [] : []),
+        ...detectCompletedSteps(actor)
+    ])];
+    const choices = resumed ? { ...existing.choices } : {};
+    for (const step of completedSteps) {
+        choices[step] = getStepChoice(actor, step);
+    }
+
+    const state = await saveCreationState({
+        actorId: actor.id,
+        userId: game.user.id,
+        step: nextStep(completedSteps),
+        completedSteps,
+        choices,
+        startedAt: resumed ? existing.startedAt : Date.now(),
+        completed: false
+    });
+    return { state, resumed };
+}
+
+/**
+ * Marks a step complete, recording the choice made on the sheet
+ * @param {Actor} actor - The character actor
+ * @param {string} step - The completed step
+ * @returns {Promise<Object|null>} - The updated progress, or null if nothing changed
+ */
+export async function completeCreationStep(actor, step) {
+    const state = getCreationState();
+    if (state?.actorId !== actor.id || state.completed) return null;
+
+    // A finished step is only sent again if its choice changed, e.g. a second feat was added
+    const choice = getStepChoice(actor, step);
+    if (state.completedSteps.includes(step) &&
+        foundry.utils.objectsEqual({ choice }, { choice: state.choices[step] })) {
+        return null;
+    }
+
+    const completedSteps = [...new Set([...state.completedSteps, step])];
+    const next = nextStep(completedSteps);
+    return saveCreationState({
+        ...state,
+        step: next,
+        completedSteps,
+        choices: { ...state.choices, [step]: choice },
+        completed: !next
+    });
+}
+
+/**
+ * Stops tracking creation, e.g. when the player closes the wizard
+ * @returns {Promise<void>}
+ */
+export async function clearCreation() {
+    await game.user.unsetFlag('frinny', 'characterCreation');
+    logStateChange('Character Creation', 'progress cleared');
+}
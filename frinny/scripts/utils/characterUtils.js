@@ -3,6 +3,17 @@
  */
 
 import { logPermission } from './logUtils.js';
+import {
+    projectAbilities,
+    projectAttributes,
+    projectStatistics,
+    projectDetails,
+    projectResources,
+    projectItem,
+    projectActor,
+    projectProficiencies,
+    projectTraits
+} from './serializationUtils.js';
 
 /**
  * Validates if a character can be modified by the current user
@@ -61,13 +72,13 @@ export function gatherBasicCharacterData(actor) {
         userId: game.user.id,
         name: actor.name,
         // Core attributes and statistics
-        attributes: actor.system.attributes,
-        abilities: actor.system.abilities,
-        saves: actor.system.saves,
-        skills: actor.system.skills,
+        attributes: projectAttributes(actor.system.attributes),
+        abilities: projectAbilities(actor.system.abilities),
+        saves: projectStatistics(actor.system.saves),
+        skills: projectStatistics(actor.system.skills),
         // Resources and points
-        resources: actor.system.resources,
-        details: actor.system.details
+        resources: projectResources(actor.system.resources),
+        details: projectDetails(actor.system.details)
     };
 }
 
@@ -81,13 +92,7 @@ export function gatherCharacterItems(actor, itemTypes = ['feat', 'action', 'spel
     return Object.fromEntries(
         itemTypes.map(type => [
             type, 
-            actor.items.filter(i => i.type === type)
-                .map(i => ({
-                    id: i.id,
-                    name: i.name,
-                    type: i.type,
-                    system: i.system
-                }))
+            actor.items.filter(i => i.type === type).map(projectItem)
         ])
     );
 }
@@ -98,14 +103,15 @@ export function gatherCharacterItems(actor, itemTypes = ['feat', 'action', 'spel
  * @returns {Object} - Combat-relevant character data
  */
 export function gatherCombatCharacterData(actor) {
+    const basic = gatherBasicCharacterData(actor);
     return {
-        ...gatherBasicCharacterData(actor),
-        hp: actor.system.attributes.hp,
-        ac: actor.system.attributes.ac,
+        ...basic,
+        hp: basic.attributes.hp,
+        ac: basic.attributes.ac,
         // Additional PF2e specific combat data
-        martial: actor.system.martial,
-        proficiencies: actor.system.proficiencies,
-        traits: actor.system.traits,
+        martial: projectProficiencies(actor.system.martial),
+        proficiencies: projectProficiencies(actor.system.proficiencies),
+        traits: projectTraits(actor.system.traits),
         items: gatherCharacterItems(actor, ['action', 'spell', 'equipment'])
     };
 }
@@ -141,7 +147,7 @@ export function gatherLevelUpData(actor, previousLevel, newLevel) {
         character: {
             name: actor.name,
             // Class information
-            class: actor.items.find(i => i.type === 'class')?.toObject() || null,
+            class: projectClass(actor),
             // Skills with their ranks
             skills: Object.entries(actor.system.skills || {}).reduce((acc, [key, skill]) => {
                 if (skill.rank) {
@@ -162,11 +168,8 @@ export function gatherLevelUpData(actor, previousLevel, newLevel) {
                 // description: feat.system.description.value
             })),
             // Other relevant attributes
-            abilities: actor.system.abilities,
-            attributes: {
-                hp: actor.system.attributes?.hp,
-                ac: actor.system.attributes?.ac
-            },
+            abilities: projectAbilities(actor.system.abilities),
+            attributes: projectAttributes(actor.system.attributes),
             details: {
                 level: actor.system.details?.level?.value,
                 keyability: actor.system.details?.keyability?.value
@@ -182,7 +185,75 @@ export function gatherLevelUpData(actor, previousLevel, newLevel) {
                 type: feat.system.category,
                 traits: feat.system.traits.value
             }))
-        }
+        },
+        // Choices for every level gained, more than one when several levels are taken at once
+        levels: getIntermediateLevels(previousLevel, newLevel).map(level => gatherLevelChoices(actor, level))
+    };
+}
+
+/**
+ * Lists every level gained between two levels
+ * @param {number} previousLevel - The character's previous level
+ * @param {number} newLevel - The character's new level
+ * @returns {Array<number>} - The levels gained, in order
+ */
+export function getIntermediateLevels(previousLevel, newLevel) {
+    const levels = [];
+    for (let level = previousLevel + 1; level <= newLevel; level++) {
+        levels.push(level);
+    }
+    return levels;
+}
+
+/**
+ * Gets the choices the standard PF2e progression grants at a level.
+ * Some classes get extra skill increases or feats on top of these.
+ * @param {number} level - The character level
+ * @returns {Object} - Which choices the level grants
+ */
+export function getLevelChoiceSlots(level) {
+    return {
+        classFeat: level === 1 || level % 2 === 0,
+        ancestryFeat: level % 4 === 1,
+        skillFeat: level % 2 === 0,
+        generalFeat: level % 4 === 3,
+        skillIncrease: level >= 3 && level % 2 === 1,
+        abilityBoosts: level % 5 === 0
+    };
+}
+
+/**
+ * Gathers the choices available and already made at a level
+ * @param {Actor} actor - The character actor
+ * @param {number} level - The character level
+ * @returns {Object} - The level's choice slots, the feats taken and the boosts chosen
+ */
+export function gatherLevelChoices(actor, level) {
+    return {
+        level,
+        slots: getLevelChoiceSlots(level),
+        feats: actor.items.filter(i =>
+            i.type === 'feat' &&
+            i.system.level?.taken === level
+        ).map(feat => ({
+            id: feat.id,
+            name: feat.name,
+            type: feat.system.category
+        })),
+        boosts: foundry.utils.getProperty(actor._source, `system.build.attributes.boosts.${level}`) || []
+    };
+}
+
+/**
+ * Gathers data for planning a character's next level before it is taken
+ * @param {Actor} actor - The character actor
+ * @returns {Object} - Level up data for the hypothetical next level
+ */
+export function gatherLevelUpPlanData(actor) {
+    const currentLevel = actor.system.details.level.value;
+    return {
+        ...gatherLevelUpData(actor, currentLevel, currentLevel + 1),
+        plan: true
     };
 }
 
@@ -217,6 +288,16 @@ export function hasLevelIncreased(newLevel, previousLevel) {
     return newLevel > previousLevel;
 }
 
+/**
+ * Checks if the level has decreased
+ * @param {number} newLevel - The new level value
+ * @param {number} previousLevel - The previous level value
+ * @returns {boolean} - Whether the level has decreased
+ */
+export function hasLevelDecreased(newLevel, previousLevel) {
+    return newLevel < previousLevel;
+}
+
 /**
  * Gathers data for a character creation event
  * @param {Actor} actor - The character actor
@@ -227,7 +308,21 @@ export function gatherCharacterCreationData(actor) {
         actorId: actor.id,
         userId: game.user.id,
         system_id: game.system.id,
-        // Send the raw character data
-        character: actor.toObject()
+        character: projectActor(actor)
+    };
+}
+
+/**
+ * Projects a character's class item with its key ability and hit points
+ * @param {Actor} actor - The character actor
+ * @returns {Object|null} - The class, or null if none was chosen
+ */
+function projectClass(actor) {
+    const classItem = actor.items.find(i => i.type === 'class');
+    if (!classItem) return null;
+    return {
+        ...projectItem(classItem),
+        keyAbility: classItem.system.keyAbility?.value || [],
+        hp: classItem.system.hp ?? null
     };
 } 
\ No newline at end of file
@@ -4,6 +4,25 @@
 
 import { canModifyCharacter, gatherCombatCharacterData } from './characterUtils.js';
 import { logStateChange } from './logUtils.js';
+import { projectActor } from './serializationUtils.js';
+
+// Conditions that stop a creature from taking reactions
+const NO_REACTION_CONDITIONS = ['unconscious', 'paralyzed', 'petrified', 'stunned', 'dying'];
+
+// Conditions that mean the party doesn't know a creature is there
+const UNDETECTED_CONDITIONS = ['undetected', 'unnoticed'];
+
+/**
+ * How much of an unknown creature's statistics Frinny is told, set by the GM
+ */
+export const EnemyStatsReveal = {
+    // Name, health estimate, position and visible conditions
+    MINIMAL: 'minimal',
+    // Also AC, speed, weaknesses, resistances and immunities
+    DEFENSES: 'defenses',
+    // Everything, including exact HP and effects
+    FULL: 'full'
+};
 
 /**
  * Validates if the current combat turn belongs to the user's character
@@ -45,12 +64,228 @@ export function gatherCombatStateData(combat, actor) {
         system_id: game.system.id,
         round: combat.round,
         turn: combat.turn,
-        // Send the raw combat data
-        combat: combat.toObject(),
-        // Send the raw active character data
-        active_character: actor ? actor.toObject() : null,
-        // Send simplified combatant data for all combatants
-        combatants: combat.turns.map(combatant => combatant.toObject())
+        combat: {
+            id: combat.id,
+            round: combat.round,
+            turn: combat.turn,
+            started: combat.started,
+            sceneId: combat.scene?.id ?? null
+        },
+        active_character: actor ? projectActor(actor) : null,
+        // Turn order of the combatants the user can see, described in the tactical snapshot
+        combatants: combat.turns.filter(isCombatantVisible).map(combatant => ({
+            id: combatant.id,
+            initiative: combatant.initiative,
+            isPlayerCharacter: !!combatant.actor?.hasPlayerOwner
+        })),
+        // Conditions, positions and defenses of everyone in the fight
+        tactical: gatherTacticalSnapshot(combat)
+    };
+}
+
+/**
+ * Checks whether the user can see a combatant, so GM secrets aren't sent to the backend.
+ * Combatants hidden by the GM, hidden tokens, tokens out of the user's sight and
+ * undetected creatures are left out for players.
+ * @param {Combatant} combatant - The combatant
+ * @returns {boolean} - Whether the combatant may be described to Frinny
+ */
+export function isCombatantVisible(combatant) {
+    if (game.user.isGM || combatant.actor?.isOwner) return true;
+    if (combatant.hidden || combatant.token?.hidden) return false;
+
+    // Vision is only known for tokens on the scene being viewed
+    const tokenObject = combatant.token?.object;
+    if (tokenObject && combatant.token.parent?.id === canvas?.scene?.id && !tokenObject.visible) {
+        return false;
+    }
+
+    const conditions = combatant.actor?.itemTypes?.condition || [];
+    return !conditions.some(condition => UNDETECTED_CONDITIONS.includes(condition.slug));
+}
+
+/**
+ * Checks whether the user may see an actor's full statistics
+ * @param {Actor} actor - The actor
+ * @returns {boolean} - Whether exact values may be sent
+ */
+function canSeeActorDetails(actor) {
+    return game.user.isGM || !!actor?.testUserPermission(game.user, 'OBSERVER');
+}
+
+/**
+ * Describes remaining HP the way players see it at the table, without numbers
+ * @param {Object} hp - The actor's hp attribute
+ * @returns {string|null} - unharmed, barely_injured, injured, badly_injured, near_death or dead
+ */
+export function getHealthEstimate(hp) {
+    if (!hp?.max) return null;
+
+    const ratio = hp.value / hp.max;
+    if (ratio >= 1) return 'unharmed';
+    if (ratio > 0.75) return 'barely_injured';
+    if (ratio > 0.5) return 'injured';
+    if (ratio > 0.25) return 'badly_injured';
+    if (ratio > 0) return 'near_death';
+    return 'dead';
+}
+
+/**
+ * Removes the statistics the GM hasn't revealed from a combatant snapshot
+ * @param {Object} snapshot - The full combatant snapshot
+ * @param {Actor} actor - The combatant's actor
+ * @returns {Object} - The snapshot with a health estimate in place of exact HP
+ */
+function redactCombatantSnapshot(snapshot, actor) {
+    const reveal = game.settings.get('frinny', 'revealedEnemyStats');
+    if (reveal === EnemyStatsReveal.FULL) return snapshot;
+
+    const { hp, ac, effects, speed, weaknesses, resistances, immunities, ...visible } = snapshot;
+    const redacted = { ...visible, health: getHealthEstimate(actor?.system.attributes.hp) };
+    if (reveal === EnemyStatsReveal.DEFENSES) {
+        Object.assign(redacted, { ac, speed, weaknesses, resistances, immunities });
+    }
+    return redacted;
+}
+
+/**
+ * Measures the distance between two tokens in scene units
+ * @param {TokenDocument} from - The origin token
+ * @param {TokenDocument} to - The target token
+ * @returns {number|null} - The distance, or null if it can't be measured on the current scene
+ */
+function measureTokenDistance(from, to) {
+    if (!from || !to || from.parent?.id !== canvas?.scene?.id || to.parent?.id !== canvas.scene.id) {
+        return null;
+    }
+    const a = from.object?.center;
+    const b = to.object?.center;
+    if (!a || !b) return null;
+
+    return canvas.grid.measurePath
+        ? canvas.grid.measurePath([a, b]).distance
+        : canvas.grid.measureDistance(a, b, { gridSpaces: true });
+}
+
+/**
+ * Gathers the conditions on an actor
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} - Conditions with their slug, name and value
+ */
+function gatherConditions(actor) {
+    return (actor.itemTypes?.condition || []).map(condition => ({
+        slug: condition.slug,
+        name: condition.name,
+        value: condition.value ?? null
+    }));
+}
+
+/**
+ * Gathers the effect items on an actor
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} - Effects with their badge value and remaining duration
+ */
+function gatherEffects(actor) {
+    return (actor.itemTypes?.effect || []).map(effect => ({
+        slug: effect.slug,
+        name: effect.name,
+        value: effect.badge?.value ?? null,
+        remaining: effect.remainingDuration?.remaining ?? null
+    }));
+}
+
+/**
+ * Maps weaknesses, resistances or immunities to their type and value
+ * @param {Array<Object>} entries - The actor's entries
+ * @returns {Array<Object>} - Entries with type and value
+ */
+function mapDefenses(entries) {
+    return (entries || []).map(entry => ({
+        type: entry.type,
+        value: entry.value ?? null,
+        exceptions: entry.exceptions || []
+    }));
+}
+
+/**
+ * Gathers a combatant's tactical state, seen from another token
+ * @param {Combatant} combatant - The combatant
+ * @param {TokenDocument|null} originToken - Token distances are measured from, usually the active one
+ * @returns {Object} - Conditions, effects, position, distance, speed, defenses and available actions
+ */
+export function gatherCombatantSnapshot(combatant, originToken = null) {
+    const actor = combatant.actor;
+    const token = combatant.token;
+    const conditions = actor ? gatherConditions(actor) : [];
+    const conditionValue = slug => {
+        const condition = conditions.find(c => c.slug === slug);
+        return condition ? (condition.value ?? 1) : 0;
+    };
+
+    // Stunned and slowed take actions away, quickened adds one.
+    // PF2e doesn't record reactions spent, so availability only reflects conditions.
+    const actionsLost = Math.max(conditionValue('stunned'), conditionValue('slowed'));
+    const gridSize = token?.parent?.grid?.size || canvas?.grid?.size || 100;
+
+    const snapshot = {
+        id: combatant.id,
+        name: combatant.name,
+        actorId: actor?.id ?? null,
+        tokenId: token?.id ?? null,
+        disposition: token?.disposition ?? null,
+        defeated: combatant.isDefeated,
+        hp: actor?.system.attributes.hp,
+        ac: actor?.system.attributes.ac?.value,
+        conditions,
+        effects: actor ? gatherEffects(actor) : [],
+        speed: actor?.system.attributes.speed,
+        weaknesses: mapDefenses(actor?.system.attributes.weaknesses),
+        resistances: mapDefenses(actor?.system.attributes.resistances),
+        immunities: mapDefenses(actor?.system.attributes.immunities),
+        position: token ? {
+            x: Math.floor(token.x / gridSize),
+            y: Math.floor(token.y / gridSize),
+            elevation: token.elevation ?? 0
+        } : null,
+        distance: originToken && token?.id !== originToken.id ? measureTokenDistance(originToken, token) : null,
+        actionsPerTurn: Math.max(0, 3 + (conditionValue('quickened') ? 1 : 0) - actionsLost),
+        reactionAvailable: !NO_REACTION_CONDITIONS.some(slug => conditionValue(slug))
+    };
+    return canSeeActorDetails(actor) ? snapshot : redactCombatantSnapshot(snapshot, actor);
+}
+
+/**
+ * Gathers an actor's strikes with their multiple attack penalty steps
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} - Strikes with the modifier for each attack in a turn
+ */
+export function gatherStrikes(actor) {
+    return (actor?.system.actions || []).map(strike => ({
+        name: strike.label,
+        modifier: strike.totalModifier,
+        traits: strike.traits?.map(trait => trait.name) || [],
+        // First, second and third attack, e.g. "+9", "+4 (MAP -5)", "-1 (MAP -10)"
+        map: strike.variants?.map(variant => variant.label) || []
+    }));
+}
+
+/**
+ * Gathers a tactical snapshot of a combat from the active combatant's point of view
+ * @param {Combat} combat - The combat instance
+ * @returns {Object} - The active combatant, with its strikes, and every combatant's state
+ */
+export function gatherTacticalSnapshot(combat) {
+    const active = combat.combatant && isCombatantVisible(combat.combatant) ? combat.combatant : null;
+    const originToken = active?.token ?? null;
+
+    return {
+        active: active ? {
+            ...gatherCombatantSnapshot(active, null),
+            strikes: canSeeActorDetails(active.actor) ? gatherStrikes(active.actor) : []
+        } : null,
+        combatants: combat.turns
+            .filter(isCombatantVisible)
+            .map(combatant => gatherCombatantSnapshot(combatant, originToken))
     };
 }
 
@@ -69,34 +304,97 @@ export function isCombatStarting(combat, changed, options) {
 }
 
 /**
- * Gets visible enemies in combat
+ * Gets the IDs of visible enemies in combat, whose details are in the tactical snapshot
  * @param {Combat} combat - The combat instance
  * @param {Actor} currentActor - The current actor
- * @returns {Array} - Array of visible enemy data
+ * @returns {Array<string>} - Combatant IDs of visible enemies
  */
-export function getVisibleEnemies(combat, currentActor) {
+export function getVisibleEnemyIds(combat, currentActor) {
     return combat.turns
         .filter(t => !t.actor?.hasPlayerOwner && t.actor?.id !== currentActor.id)
-        .map(t => ({
-            id: t.id,
-            name: t.name,
-            hp: t.actor?.system.attributes.hp,
-            ac: t.actor?.system.attributes.ac
-        }));
+        .filter(isCombatantVisible)
+        .map(t => t.id);
 }
 
 /**
- * Gets visible allies in combat
+ * Gets the IDs of visible allies in combat, whose details are in the tactical snapshot
  * @param {Combat} combat - The combat instance
  * @param {Actor} currentActor - The current actor
- * @returns {Array} - Array of visible ally data
+ * @returns {Array<string>} - Combatant IDs of visible allies
  */
-export function getVisibleAllies(combat, currentActor) {
+export function getVisibleAllyIds(combat, currentActor) {
     return combat.turns
         .filter(t => t.actor?.hasPlayerOwner && t.actor?.id !== currentActor.id)
-        .map(t => ({
-            id: t.id,
-            name: t.name,
-            hp: t.actor?.system.attributes.hp
-        }));
-} 
\ No newline at end of file
+        .filter(isCombatantVisible)
+        .map(t => t.id);
+}
+
+/**
+ * Checks if the active combatant is an NPC, one no player owns
+ * @param {Combat} combat - The combat instance
+ * @returns {boolean} - Whether it's an NPC's turn
+ */
+export function isNpcTurn(combat) {
+    const actor = combat?.started ? combat.combatant?.actor : null;
+    return !!actor && !actor.hasPlayerOwner;
+}
+
+/**
+ * Gathers an NPC's statistics, abilities and spells for tactical advice
+ * @param {Actor} actor - The NPC actor
+ * @returns {Object} - NPC combat data
+ */
+export function gatherNpcCombatData(actor) {
+    return {
+        actorId: actor.id,
+        name: actor.name,
+        type: actor.type,
+        level: actor.system.details?.level?.value,
+        traits: actor.system.traits?.value || [],
+        hp: actor.system.attributes?.hp,
+        ac: actor.system.attributes?.ac?.value,
+        saves: Object.fromEntries(
+            Object.entries(actor.system.saves || {}).map(([key, save]) => [key, save.value ?? save.totalModifier])
+        ),
+        perception: actor.system.perception?.value ?? actor.system.attributes?.perception?.value,
+        speed: actor.system.attributes?.speed,
+        // Strikes are prepared by the system with their final modifiers
+        strikes: gatherStrikes(actor),
+        abilities: actor.items.filter(i => i.type === 'action').map(ability => ({
+            name: ability.name,
+            actionType: ability.system.actionType?.value,
+            actions: ability.system.actions?.value,
+            traits: ability.system.traits?.value || []
+        })),
+        spellcasting: actor.items.filter(i => i.type === 'spellcastingEntry').map(entry => ({
+            name: entry.name,
+            tradition: entry.system.tradition?.value,
+            prepared: entry.system.prepared?.value,
+            dc: entry.system.spelldc?.dc,
+            attack: entry.system.spelldc?.value,
+            spells: actor.items
+                .filter(i => i.type === 'spell' && i.system.location?.value === entry.id)
+                .map(spell => ({
+                    name: spell.name,
+                    rank: spell.system.level?.value,
+                    traits: spell.system.traits?.value || []
+                }))
+        }))
+    };
+}
+
+/**
+ * Gathers the combat state from the active NPC's point of view, for the GM
+ * @param {Combat} combat - The combat instance
+ * @returns {Object} - NPC turn data
+ */
+export function gatherNpcTurnData(combat) {
+    const actor = combat.combatant.actor;
+    return {
+        ...gatherCombatStateData(combat, actor),
+        npc: gatherNpcCombatData(actor),
+        // From the NPC's side the player characters are the enemies
+        enemyIds: getVisibleAllyIds(combat, actor),
+        allyIds: getVisibleEnemyIds(combat, actor)
+    };
+}
@@ -0,0 +1,159 @@
+/**
+ * Utility functions for moving conversations out of and into Frinny.
+ * A thread is exported with all of its sessions as JSON, Markdown or a JournalEntry
+ * with one page per session; JSON exports can be imported into a thread in any world.
+ */
+
+import { renderMarkdown } from './markdownUtils.js';
+import { appendReferences } from './referenceUtils.js';
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Identifies Frinny exports and the version of their layout
+ */
+export const EXPORT_FORMAT = 'frinny-conversations';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Keeps the parts of a message worth carrying to another world.
+ * Proposed character changes refer to this world's actors and are left out.
+ * @param {Object} message - The stored message
+ * @returns {Object} - The exported message
+ */
+function exportMessage(message) {
+    return {
+        type: message.type,
+        content: message.content,
+        timestamp: message.timestamp,
+        references: message.references || [],
+        messageType: message.messageType ?? null,
+        cancelled: !!message.cancelled
+    };
+}
+
+/**
+ * Builds the export of a thread
+ * @param {string} threadLabel - The thread's display name
+ * @param {Array<{session: Object, messages: Array<Object>}>} sessions - The thread's sessions with their messages
+ * @returns {Object} - The export data
+ */
+export function buildThreadExport(threadLabel, sessions) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        world: game.world.title,
+        user: game.user.name,
+        thread: threadLabel,
+        sessions: sessions.map(({ session, messages }) => ({
+            name: session.name,
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            archived: !!session.archived,
+            messages: messages.filter(m => !m.streaming).map(exportMessage)
+        }))
+    };
+}
+
+/**
+ * Formats one exported session as Markdown
+ * @param {Object} session - An exported session
+ * @param {string} userName - Name shown for the user's messages
+ * @returns {string} - The session's messages, one section each
+ */
+export function sessionToMarkdown(session, userName) {
+    return session.messages.map(message => {
+        const speaker = message.type === 'user' ? userName : 'Frinny';
+        const time = new Date(message.timestamp).toLocaleString();
+        const content = message.type === 'user'
+            ? message.content
+            : appendReferences(message.content, message.references);
+        return `**${speaker}** (${time}):\n\n${content}`;
+    }).join('\n\n---\n\n');
+}
+
+/**
+ * Formats an export as a Markdown document
+ * @param {Object} data - The export data
+ * @returns {string} - Markdown with a section per session
+ */
+export function threadToMarkdown(data) {
+    const sections = data.sessions.map(session => {
+        const dates = game.i18n.format('frinny.export.sessionDates', {
+            started: new Date(session.createdAt).toLocaleString(),
+            lastActivity: new Date(session.lastActivity).toLocaleString()
+        });
+        return `## ${session.name}\n\n_${dates}_\n\n${sessionToMarkdown(session, data.user)}`;
+    });
+    return [`# ${game.i18n.format('frinny.export.title', { thread: data.thread })}`, ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Creates a JournalEntry from an export, with a text page per session
+ * @param {Object} data - The export data
+ * @returns {Promise<JournalEntry>} - The created journal
+ */
+export async function exportToJournal(data) {
+    const journal = await JournalEntry.create({
+        name: game.i18n.format('frinny.export.title', { thread: data.thread }),
+        pages: data.sessions.map((session, index) => ({
+            name: session.name,
+            type: 'text',
+            sort: index * CONST.SORT_INTEGER_DENSITY,
+            text: {
+                content: renderMarkdown(sessionToMarkdown(session, data.user)),
+                format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+            }
+        }))
+    });
+    logStateChange('Conversation export', 'journal created', {
+        journalId: journal.id,
+        sessions: data.sessions.length
+    });
+    return journal;
+}
+
+/**
+ * Builds a file name for an export
+ * @param {Object} data - The export data
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - The file name
+ */
+export function getExportFileName(data, extension) {
+    const slug = data.thread.slugify?.() || data.thread.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `frinny-${slug}-${new Date(data.exportedAt).toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Parses and checks a JSON export
+ * @param {string} text - The file's contents
+ * @returns {Object} - The export data
+ * @throws {Error} - If the text isn't a Frinny export this version can read
+ */
+export function parseThreadExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(game.i18n.localize('frinny.export.invalidFile'));
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+        throw new Error(game.i18n.localize('frinny.export.invalidFile'));
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error(game.i18n.localize('frinny.export.newerVersion'));
+    }
+
+    // Keep only well-formed messages so a hand-edited file can't break the chat window
+    data.sessions = data.sessions.map(session => ({
+        name: String(session.name || ''),
+        createdAt: Number(session.createdAt) || Date.now(),
+        lastActivity: Number(session.lastActivity) || Date.now(),
+        archived: !!session.archived,
+        messages: (Array.isArray(session.messages) ? session.messages : [])
+            .filter(message => ['user', 'assistant'].includes(message?.type) && typeof message.content === 'string')
+            .map(message => ({ ...exportMessage(message), timestamp: Number(message.timestamp) || Date.now() }))
+    }));
+    return data;
+}
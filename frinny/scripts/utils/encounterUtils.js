@@ -0,0 +1,275 @@
+/**
+ * Utility functions for compiling an encounter once combat ends.
+ * While a combat runs, the user's frinny.activeEncounter flag holds the character's
+ * resources at the start and the conditions it suffered. When the combat is deleted
+ * the encounter is compiled with the damage rolled in chat, and the debrief is kept
+ * in the actor's frinny.encounterLog flag.
+ */
+
+import { isCombatantVisible } from './combatUtils.js';
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Maximum number of encounters kept per actor
+ */
+const MAX_ENCOUNTERS = 20;
+
+/**
+ * Gathers the character's expendable resources
+ * @param {Actor} actor - The character actor
+ * @returns {Object} - HP, focus points, hero points, spell slots and consumables
+ */
+export function gatherResourceSnapshot(actor) {
+    const hp = actor.system.attributes.hp;
+    const resources = actor.system.resources || {};
+
+    const spellSlots = [];
+    for (const entry of actor.items.filter(i => i.type === 'spellcastingEntry')) {
+        // Focus spells and rituals draw on other resources
+        if (['focus', 'ritual'].includes(entry.system.prepared?.value)) continue;
+
+        for (const [slotKey, slot] of Object.entries(entry.system.slots || {})) {
+            if (!slot?.max) continue;
+            // Prepared casters expend individual spells, spontaneous casters spend slots
+            const remaining = entry.system.prepared?.value === 'prepared'
+                ? (slot.prepared || []).filter(spell => spell?.id && !spell.expended).length
+                : slot.value ?? 0;
+            spellSlots.push({
+                entryId: entry.id,
+                entry: entry.name,
+                rank: Number(slotKey.replace('slot', '')),
+                remaining,
+                max: slot.max
+            });
+        }
+    }
+
+    return {
+        hp: hp ? { value: hp.value, max: hp.max, temp: hp.temp ?? 0 } : null,
+        focus: resources.focus ? { value: resources.focus.value, max: resources.focus.max } : null,
+        heroPoints: resources.heroPoints?.value ?? null,
+        spellSlots,
+        consumables: actor.items.filter(i => i.type === 'consumable').map(item => ({
+            id: item.id,
+            name: item.name,
+            quantity: item.system.quantity ?? 1,
+            uses: item.system.uses?.value ?? null
+        }))
+    };
+}
+
+/**
+ * Lists the resources spent between two snapshots
+ * @param {Object} before - Resources at the start of the encounter
+ * @param {Object} after - Resources now
+ * @returns {Object} - Focus and hero points, spell slots and consumables used
+ */
+export function diffResources(before, after) {
+    const spent = {
+        focusPoints: Math.max(0, (before.focus?.value ?? 0) - (after.focus?.value ?? 0)),
+        heroPoints: Math.max(0, (before.heroPoints ?? 0) - (after.heroPoints ?? 0)),
+        spellSlots: [],
+        consumables: []
+    };
+
+    for (const slot of before.spellSlots) {
+        const current = after.spellSlots.find(s => s.entryId === slot.entryId && s.rank === slot.rank);
+        const used = slot.remaining - (current?.remaining ?? 0);
+        if (used > 0) {
+            spent.spellSlots.push({ entry: slot.entry, rank: slot.rank, used });
+        }
+    }
+
+    for (const item of before.consumables) {
+        const current = after.consumables.find(c => c.id === item.id);
+        // A consumable used up entirely is removed from the sheet
+        const used = current
+            ? Math.max(item.quantity - current.quantity, (item.uses ?? 0) - (current.uses ?? 0), 0)
+            : item.quantity;
+        if (used > 0) {
+            spent.consumables.push({ name: item.name, used });
+        }
+    }
+
+    return spent;
+}
+
+/**
+ * Gets the encounter being tracked for the user
+ * @param {string} combatId - Only return it if it belongs to this combat
+ * @returns {Object|null} - The encounter, or null if none is tracked
+ */
+export function getActiveEncounter(combatId = null) {
+    const encounter = game.user.getFlag('frinny', 'activeEncounter') || null;
+    if (encounter && combatId && encounter.combatId !== combatId) return null;
+    return encounter;
+}
+
+/**
+ * Starts tracking an encounter for the user's character, unless it already is
+ * @param {Combat} combat - The combat
+ * @param {Actor} actor - The user's character
+ * @returns {Promise<Object>} - The tracked encounter
+ */
+export async function startEncounter(combat, actor) {
+    const existing = getActiveEncounter(combat.id);
+    if (existing?.actorId === actor.id) return existing;
+
+    const encounter = {
+        combatId: combat.id,
+        actorId: actor.id,
+        startedAt: Date.now(),
+        resources: gatherResourceSnapshot(actor),
+        conditions: []
+    };
+    await game.user.setFlag('frinny', 'activeEncounter', encounter);
+    logStateChange('Encounter', 'tracking started', { combatId: combat.id, actorId: actor.id });
+    return encounter;
+}
+
+/**
+ * Records a condition the tracked character suffered
+ * @param {Item} condition - The condition item added to the actor
+ * @returns {Promise<boolean>} - Whether it was recorded
+ */
+export async function recordEncounterCondition(condition) {
+    const encounter = getActiveEncounter();
+    if (!encounter || condition.actor?.id !== encounter.actorId) return false;
+
+    const combat = game.combats.get(encounter.combatId);
+    const conditions = [...encounter.conditions, {
+        slug: condition.slug,
+        name: condition.name,
+        value: condition.value ?? null,
+        round: combat?.round ?? null
+    }];
+    await game.user.setFlag('frinny', 'activeEncounter', { ...encounter, conditions });
+    return true;
+}
+
+/**
+ * Stops tracking the user's encounter
+ * @returns {Promise<void>}
+ */
+export async function clearActiveEncounter() {
+    await game.user.unsetFlag('frinny', 'activeEncounter');
+}
+
+/**
+ * Totals the damage rolled in chat to and by a character since a point in time
+ * @param {Actor} actor - The character actor
+ * @param {number} since - Timestamp the encounter started at
+ * @returns {Object} - { dealt, taken } with the total and individual rolls
+ */
+export function gatherEncounterDamage(actor, since) {
+    const damage = {
+        dealt: { total: 0, rolls: [] },
+        taken: { total: 0, rolls: [] }
+    };
+
+    for (const message of game.messages.contents) {
+        if (message.timestamp < since) continue;
+        const context = message.flags?.pf2e?.context;
+        if (context?.type !== 'damage-roll' || !message.rolls?.length) continue;
+
+        const total = message.rolls.reduce((sum, roll) => sum + (roll.total ?? 0), 0);
+        const targetUuid = context.target?.actor ?? null;
+        const roll = {
+            source: message.speaker?.alias || null,
+            target: targetUuid ? fromUuidSync(targetUuid)?.name ?? null : null,
+            item: message.item?.name ?? null,
+            total
+        };
+
+        if (message.speaker?.actor === actor.id) {
+            damage.dealt.total += total;
+            damage.dealt.rolls.push(roll);
+        } else if (targetUuid === actor.uuid) {
+            damage.taken.total += total;
+            damage.taken.rolls.push(roll);
+        }
+    }
+
+    return damage;
+}
+
+/**
+ * Compiles an ended combat for the debrief event
+ * @param {Combat} combat - The combat being deleted
+ * @param {Actor} actor - The user's character
+ * @param {Object|null} encounter - The tracked encounter, if tracking started
+ * @returns {Object} - Encounter summary data
+ */
+export function gatherEncounterData(combat, actor, encounter) {
+    // Without tracking, fall back to when the combat was created
+    const since = encounter?.startedAt ?? combat._stats?.createdTime ?? 0;
+
+    return {
+        combatId: combat.id,
+        userId: game.user.id,
+        system_id: game.system.id,
+        actorId: actor.id,
+        character: {
+            name: actor.name,
+            level: actor.system.details.level.value
+        },
+        rounds: combat.round,
+        duration: Date.now() - since,
+        // Who was fought, as far as the user could see
+        combatants: combat.turns
+            .filter(combatant => combatant.actor?.id !== actor.id)
+            .filter(isCombatantVisible)
+            .map(combatant => ({
+                name: combatant.name,
+                isPlayerCharacter: !!combatant.actor?.hasPlayerOwner,
+                defeated: combatant.isDefeated
+            })),
+        damage: gatherEncounterDamage(actor, since),
+        conditions: encounter?.conditions || [],
+        resources: gatherResourceSnapshot(actor),
+        resourcesSpent: encounter ? diffResources(encounter.resources, gatherResourceSnapshot(actor)) : null
+    };
+}
+
+/**
+ * Gets the encounters logged for an actor
+ * @param {Actor} actor - The character actor
+ * @returns {Array<Object>} - Logged encounters, oldest first
+ */
+export function getEncounterLog(actor) {
+    return actor?.getFlag('frinny', 'encounterLog') || [];
+}
+
+/**
+ * Logs an encounter with Frinny's debrief
+ * @param {Actor} actor - The character actor
+ * @param {Object} encounterData - The data sent with the debrief event
+ * @param {Object|null} response - The backend response, null if the debrief failed
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function saveEncounterLog(actor, encounterData, response) {
+    const entry = {
+        id: foundry.utils.randomID(),
+        combatId: encounterData.combatId,
+        timestamp: Date.now(),
+        rounds: encounterData.rounds,
+        combatants: encounterData.combatants,
+        damageDealt: encounterData.damage.dealt.total,
+        damageTaken: encounterData.damage.taken.total,
+        conditions: encounterData.conditions,
+        resourcesSpent: encounterData.resourcesSpent,
+        debrief: response?.content ?? null,
+        references: response?.references || [],
+        messageId: response?.messageId ?? null
+    };
+
+    const log = [...getEncounterLog(actor), entry].slice(-MAX_ENCOUNTERS);
+    await actor.setFlag('frinny', 'encounterLog', log);
+
+    logStateChange('Encounter log', 'entry saved', {
+        actorId: actor.id,
+        combatId: entry.combatId,
+        rounds: entry.rounds
+    });
+    return entry;
+}
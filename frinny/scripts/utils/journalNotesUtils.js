@@ -0,0 +1,102 @@
+/**
+ * Utility functions for saving Frinny's answers to journal pages.
+ * Notes are appended to text pages the user owns; the first save creates a
+ * "Frinny Notes" journal for the user, marked with the frinny.notes flag.
+ */
+
+import { renderMarkdown } from './markdownUtils.js';
+import { appendReferences } from './referenceUtils.js';
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Value of a journal page choice that stands for the user's Frinny Notes journal, created if needed
+ */
+export const NOTES_JOURNAL_TARGET = 'frinny-notes';
+
+/**
+ * Finds the user's Frinny Notes journal
+ * @returns {JournalEntry|null} - The journal, or null if it wasn't created yet
+ */
+export function getNotesJournal() {
+    return game.journal.find(journal => journal.getFlag('frinny', 'notes') === game.user.id && journal.isOwner) ?? null;
+}
+
+/**
+ * Lists the text pages the user may write to
+ * @returns {Array<Object>} - { uuid, label } per page, grouped by journal
+ */
+export function listWritablePages() {
+    return game.journal
+        .filter(journal => journal.isOwner)
+        .flatMap(journal => journal.pages.contents
+            .filter(page => page.type === 'text' && page.isOwner)
+            .sort((a, b) => a.sort - b.sort)
+            .map(page => ({ uuid: page.uuid, label: `${journal.name}: ${page.name}` })));
+}
+
+/**
+ * Gets the first text page of the user's Frinny Notes journal, creating the journal on first use
+ * @returns {Promise<JournalEntryPage>} - The page
+ * @throws {Error} - If the user may not create journals
+ */
+export async function getOrCreateNotesPage() {
+    const existing = getNotesJournal()?.pages.find(page => page.type === 'text' && page.isOwner);
+    if (existing) return existing;
+
+    if (!game.user.can('JOURNAL_CREATE')) {
+        throw new Error(game.i18n.localize('frinny.notes.noJournalPermission'));
+    }
+
+    const name = game.i18n.localize('frinny.notes.journalName');
+    const journal = getNotesJournal() ?? await JournalEntry.create({
+        name: game.user.isGM ? name : `${name} (${game.user.name})`,
+        ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE, [game.user.id]: CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER },
+        flags: { frinny: { notes: game.user.id } }
+    });
+    const [page] = await journal.createEmbeddedDocuments('JournalEntryPage', [{
+        name: game.i18n.localize('frinny.notes.pageName'),
+        type: 'text',
+        text: { content: '', format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML }
+    }]);
+
+    logStateChange('Frinny notes', 'journal created', { journalId: journal.id, userId: game.user.id });
+    return page;
+}
+
+/**
+ * Builds the HTML of a saved answer
+ * @param {Object} note - The note
+ * @param {string|null} note.question - The question that prompted the answer
+ * @param {string} note.answer - Frinny's answer, as Markdown
+ * @param {Array<Object|string>} note.references - References from the answer
+ * @param {number} note.timestamp - When the answer was given
+ * @returns {string} - HTML to append to a page
+ */
+export function buildNoteHTML({ question, answer, references = [], timestamp }) {
+    const heading = question
+        ? `<h3>${Handlebars.escapeExpression(question)}</h3>`
+        : `<h3>${game.i18n.localize('frinny.notes.untitled')}</h3>`;
+    const time = `<p><em>${game.i18n.format('frinny.notes.savedFrom', { time: new Date(timestamp).toLocaleString() })}</em></p>`;
+    return `<section class="frinny-note">${heading}${time}${renderMarkdown(appendReferences(answer, references))}</section><hr>`;
+}
+
+/**
+ * Appends an answer to a journal page
+ * @param {string} target - The page UUID, or NOTES_JOURNAL_TARGET for the user's Frinny Notes
+ * @param {Object} note - The note, see buildNoteHTML
+ * @returns {Promise<JournalEntryPage>} - The updated page
+ * @throws {Error} - If the page doesn't exist or the user doesn't own it
+ */
+export async function saveNoteToJournal(target, note) {
+    const page = target === NOTES_JOURNAL_TARGET ? await getOrCreateNotesPage() : await fromUuid(target);
+    if (!page || page.documentName !== 'JournalEntryPage' || page.type !== 'text') {
+        throw new Error(game.i18n.localize('frinny.notes.pageNotFound'));
+    }
+    if (!page.isOwner) {
+        throw new Error(game.i18n.format('frinny.notes.notOwner', { name: page.parent.name }));
+    }
+
+    await page.update({ 'text.content': `${page.text.content || ''}${buildNoteHTML(note)}` });
+    logStateChange('Frinny notes', 'answer saved', { pageUuid: page.uuid });
+    return page;
+}
@@ -0,0 +1,70 @@
+/**
+ * Utility functions for computing JSON Patch (RFC 6902) style differences
+ * between two JSON-compatible values. Arrays are replaced as a whole.
+ */
+
+/**
+ * Escapes a key for use in a JSON Pointer
+ * @param {string} key - The object key
+ * @returns {string} - The escaped key
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Checks if a value is a plain JSON object
+ * @param {*} value - The value
+ * @returns {boolean} - Whether it is a non-array object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks two JSON-compatible values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether they are equal
+ */
+export function jsonEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * Computes the operations that turn one JSON value into another
+ * @param {*} previous - The value the backend has
+ * @param {*} next - The current value
+ * @param {string} path - JSON Pointer of the values being compared
+ * @returns {Array<Object>} - Operations of { op: 'add'|'remove'|'replace', path, value }
+ */
+export function diffJson(previous, next, path = '') {
+    if (jsonEqual(previous, next)) return [];
+
+    if (!isObject(previous) || !isObject(next)) {
+        return [{ op: 'replace', path, value: next }];
+    }
+
+    const operations = [];
+    for (const key of Object.keys(previous)) {
+        if (!Object.prototype.hasOwnProperty.call(next, key)) {
+            operations.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+        }
+    }
+    for (const [key, value] of Object.entries(next)) {
+        const childPath = `${path}/${escapePointer(key)}`;
+        if (!Object.prototype.hasOwnProperty.call(previous, key)) {
+            operations.push({ op: 'add', path: childPath, value });
+        } else {
+            operations.push(...diffJson(previous[key], value, childPath));
+        }
+    }
+    return operations;
+}
@@ -0,0 +1,162 @@
+/**
+ * Utility functions for planning a character's next level ahead of time.
+ * The plan Frinny recommends is stored in the actor's frinny.levelUpPlan flag
+ * and applied in one step once the character reaches the planned level.
+ */
+
+import ProficiencyManager from './proficiency-manager.js';
+import { ActionType, ActionStatus, normalizeActions, applyAction, rankName } from './actionUtils.js';
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Gets the stored plan for an actor
+ * @param {Actor} actor - The character actor
+ * @returns {Object|null} - The plan, or null if none is stored
+ */
+export function getLevelUpPlan(actor) {
+    return actor?.getFlag('frinny', 'levelUpPlan') || null;
+}
+
+/**
+ * Stores Frinny's recommendations as the actor's plan for its next level
+ * @param {Actor} actor - The character actor
+ * @param {number} targetLevel - The level the plan is for
+ * @param {Object} response - The level_up_plan response from AgentManager
+ * @returns {Promise<Object>} - The stored plan
+ */
+export async function saveLevelUpPlan(actor, targetLevel, response) {
+    // Feats and boosts in the plan are taken at the planned level unless Frinny says otherwise
+    const actions = normalizeActions(response.actions, actor.id).map(action => (
+        [ActionType.ADD_FEAT, ActionType.SET_ABILITY_BOOST].includes(action.type)
+            ? { ...action, level: action.level ?? targetLevel }
+            : action
+    ));
+
+    const plan = {
+        targetLevel,
+        fromLevel: actor.system.details.level.value,
+        messageId: response.messageId || null,
+        actions,
+        createdAt: Date.now()
+    };
+    await actor.setFlag('frinny', 'levelUpPlan', plan);
+
+    logStateChange('Level up plan', 'saved', {
+        actorId: actor.id,
+        targetLevel,
+        actionCount: actions.length
+    });
+    return plan;
+}
+
+/**
+ * Removes the stored plan
+ * @param {Actor} actor - The character actor
+ * @returns {Promise<void>}
+ */
+export async function clearLevelUpPlan(actor) {
+    await actor.unsetFlag('frinny', 'levelUpPlan');
+    logStateChange('Level up plan', 'cleared', { actorId: actor.id });
+}
+
+/**
+ * Checks whether the character has reached the level a plan is for
+ * @param {Actor} actor - The character actor
+ * @param {Object} plan - The stored plan
+ * @returns {boolean} - Whether the plan can be applied
+ */
+export function canApplyLevelUpPlan(actor, plan) {
+    return !!plan && actor.system.details.level.value >= plan.targetLevel;
+}
+
+/**
+ * Gets the localized name of a proficiency rank
+ * @param {number|string} rank - The rank
+ * @returns {string} - The rank label
+ */
+function rankLabel(rank) {
+    return game.i18n.localize(`frinny.ranks.${rankName(rank)}`);
+}
+
+/**
+ * Compares each planned change with the current sheet
+ * @param {Actor} actor - The character actor
+ * @param {Object} plan - The stored plan
+ * @returns {Array<Object>} - Rows of { actionId, label, current, planned, unchanged }
+ */
+export function buildPlanDiff(actor, plan) {
+    return (plan?.actions || []).map(action => {
+        let label;
+        let current;
+        let planned;
+
+        switch (action.type) {
+            case ActionType.SET_SKILL_RANK:
+            case ActionType.SET_PROFICIENCY: {
+                const category = action.category || ProficiencyManager.CATEGORIES.SKILL;
+                const key = action.key || action.skill;
+                label = key;
+                try {
+                    current = rankLabel(ProficiencyManager.getProficiency(actor.id, category, key));
+                } catch (error) {
+                    current = '—';
+                }
+                planned = rankLabel(action.rank);
+                break;
+            }
+            case ActionType.ADD_FEAT: {
+                label = game.i18n.format('frinny.levelPlan.feat', { level: action.level });
+                const existing = actor.items.find(i => i.type === 'feat' && i.system.level?.taken === action.level);
+                current = existing?.name || '—';
+                planned = action.name || action.uuid;
+                break;
+            }
+            case ActionType.SET_ABILITY_BOOST: {
+                label = game.i18n.format('frinny.levelPlan.boosts', { level: action.level });
+                const boosts = foundry.utils.getProperty(actor._source, `system.build.attributes.boosts.${action.level}`) || [];
+                const ability = action.ability?.toLowerCase();
+                current = boosts.map(b => b.toUpperCase()).join(', ') || '—';
+                planned = [...new Set([...boosts, ability])].map(b => b.toUpperCase()).join(', ');
+                break;
+            }
+            default:
+                label = action.type;
+                current = '—';
+                planned = '—';
+        }
+
+        return { actionId: action.id, label, current, planned, unchanged: current === planned };
+    });
+}
+
+/**
+ * Applies every change in a plan, journaling each one so it can be undone
+ * @param {Actor} actor - The character actor
+ * @param {Object} plan - The stored plan
+ * @returns {Promise<Array<Object>>} - The plan's actions with their final status and any error
+ * @throws {Error} - If the character hasn't reached the planned level yet
+ */
+export async function applyLevelUpPlan(actor, plan) {
+    if (!canApplyLevelUpPlan(actor, plan)) {
+        throw new Error(`${actor.name} has not reached level ${plan?.targetLevel} yet`);
+    }
+
+    const results = [];
+    for (const action of plan.actions) {
+        try {
+            await applyAction({ ...action, actorId: actor.id });
+            results.push({ ...action, status: ActionStatus.APPLIED, error: null });
+        } catch (error) {
+            results.push({ ...action, status: ActionStatus.FAILED, error: error.message });
+        }
+    }
+
+    await clearLevelUpPlan(actor);
+    logStateChange('Level up plan', 'applied', {
+        actorId: actor.id,
+        targetLevel: plan.targetLevel,
+        applied: results.filter(r => r.status === ActionStatus.APPLIED).length,
+        failed: results.filter(r => r.status === ActionStatus.FAILED).length
+    });
+    return results;
+}
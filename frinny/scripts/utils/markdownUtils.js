@@ -0,0 +1,146 @@
+/**
+ * Utility functions for rendering Frinny's Markdown replies as safe HTML
+ */
+
+/**
+ * Elements allowed in rendered replies
+ */
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'hr', 'div', 'span',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sup', 'sub',
+    'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'a', 'img'
+]);
+
+/**
+ * Elements removed together with their content
+ */
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button', 'textarea', 'select', 'link', 'meta', 'template']);
+
+/**
+ * Attributes allowed per element, '*' applies to every element
+ */
+const ALLOWED_ATTRIBUTES = {
+    '*': ['class', 'title'],
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan']
+};
+
+/**
+ * URL schemes allowed in href and src attributes
+ */
+const SAFE_URL = /^(https?:|mailto:|#|\/|\.\/|[^:]*$)/i;
+
+/**
+ * Foundry enrichers such as @UUID[...]{Label}, kept out of the Markdown converter
+ */
+const ENRICHER_PATTERN = /@\w+\[[^\]]+\](?:\{[^}]*\})?/g;
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Recursively removes disallowed elements and attributes from a node's children
+ * @param {Node} parent - The node to clean
+ */
+function cleanNode(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === Node.COMMENT_NODE) {
+            node.remove();
+            continue;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            continue;
+        }
+
+        // Clean children first so unwrapped content is already safe
+        cleanNode(node);
+
+        if (!ALLOWED_TAGS.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            continue;
+        }
+
+        const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+        for (const attribute of Array.from(node.attributes)) {
+            const name = attribute.name.toLowerCase();
+            const isUrl = name === 'href' || name === 'src';
+            if (!allowed.includes(name) || (isUrl && !SAFE_URL.test(attribute.value.trim()))) {
+                node.removeAttribute(attribute.name);
+            }
+        }
+
+        // External links open outside Foundry
+        if (tag === 'a' && node.hasAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'nofollow noopener');
+        }
+    }
+}
+
+/**
+ * Strips scripts, event handlers and unsafe URLs from an HTML string
+ * @param {string} html - The HTML to sanitize
+ * @returns {string} - Sanitized HTML
+ */
+export function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanNode(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Converts Markdown to HTML using the showdown library bundled with Foundry
+ * @param {string} text - The Markdown text
+ * @returns {string} - Unsanitized HTML
+ */
+export function markdownToHTML(text) {
+    if (typeof showdown === 'undefined') {
+        return escapeHTML(text).replace(/\n/g, '<br>');
+    }
+
+    const converter = new showdown.Converter({
+        ...(CONST.SHOWDOWN_OPTIONS || {}),
+        tables: true,
+        strikethrough: true,
+        simpleLineBreaks: true,
+        openLinksInNewWindow: true
+    });
+    return converter.makeHtml(text);
+}
+
+/**
+ * Renders Markdown from the backend as sanitized HTML
+ * @param {string} text - The Markdown text
+ * @returns {string} - Safe HTML
+ */
+export function renderMarkdown(text) {
+    if (!text) return '';
+
+    // Swap enrichers for placeholders so Markdown doesn't mangle their brackets
+    const enrichers = [];
+    const protectedText = String(text).replace(ENRICHER_PATTERN, (match) => {
+        enrichers.push(match);
+        return `FRINNYENRICHER${enrichers.length - 1}X`;
+    });
+
+    const html = sanitizeHTML(markdownToHTML(protectedText));
+    return html.replace(/FRINNYENRICHER(\d+)X/g, (match, index) => escapeHTML(enrichers[Number(index)] ?? match));
+}
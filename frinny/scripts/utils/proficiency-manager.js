@@ -0,0 +1,306 @@
+import { logStateChange } from "./logUtils.js";
+
+/**
+ * A utility for managing every kind of proficiency on Pathfinder 2e character sheets:
+ * skills, lores, saves, perception, armor, weapons and spellcasting traditions
+ */
+class ProficiencyManager {
+  /**
+   * Proficiency rank values for PF2e
+   * @type {Object<string, number>}
+   */
+  static PROFICIENCY_RANKS = {
+    "untrained": 0,
+    "trained": 1,
+    "expert": 2,
+    "master": 3,
+    "legendary": 4
+  };
+
+  /**
+   * Proficiency categories
+   * @type {Object<string, string>}
+   */
+  static CATEGORIES = {
+    SKILL: "skill",
+    LORE: "lore",
+    SAVE: "save",
+    PERCEPTION: "perception",
+    ARMOR: "armor",
+    WEAPON: "weapon",
+    SPELLCASTING: "spellcasting"
+  };
+
+  /**
+   * Short skill keys (used by older PF2e versions) mapped to full slugs
+   * @type {Object<string, string>}
+   */
+  static SKILL_KEYS = {
+    "acr": "acrobatics",
+    "arc": "arcana",
+    "ath": "athletics",
+    "cra": "crafting",
+    "dec": "deception",
+    "dip": "diplomacy",
+    "itm": "intimidation",
+    "med": "medicine",
+    "nat": "nature",
+    "occ": "occultism",
+    "prf": "performance",
+    "rel": "religion",
+    "soc": "society",
+    "ste": "stealth",
+    "sur": "survival",
+    "thi": "thievery"
+  };
+
+  /**
+   * Short save keys mapped to full slugs
+   * @type {Object<string, string>}
+   */
+  static SAVE_KEYS = {
+    "fort": "fortitude",
+    "ref": "reflex",
+    "will": "will"
+  };
+
+  static ARMOR_KEYS = ["unarmored", "light", "medium", "heavy"];
+  static WEAPON_KEYS = ["unarmed", "simple", "martial", "advanced"];
+  static TRADITIONS = ["arcane", "divine", "occult", "primal"];
+
+  /**
+   * Convert a rank name or number to its numeric value
+   * @param {string|number} rank - The rank (e.g. "expert" or 2)
+   * @returns {number} - The numeric rank
+   * @throws {Error} - If the rank is invalid
+   */
+  static normalizeRank(rank) {
+    if (typeof rank === "number" && rank >= 0 && rank <= 4) return rank;
+
+    const value = this.PROFICIENCY_RANKS[String(rank).toLowerCase()];
+    if (value === undefined) {
+      throw new Error(`Invalid proficiency level: ${rank}. Must be one of: ${Object.keys(this.PROFICIENCY_RANKS).join(", ")}`);
+    }
+    return value;
+  }
+
+  /**
+   * Work out the category and key of a proficiency from its display name
+   * @param {string} name - e.g. "Acrobatics", "acr", "Fortitude", "Light Armor", "Arcane Spellcasting", "Warfare Lore"
+   * @returns {{category: string, key: string}} - The category and normalized key
+   */
+  static parseTarget(name) {
+    const normalized = String(name).trim().toLowerCase();
+    const words = normalized.replace(/\s+(armor|armour|weapons?|attacks?|spellcasting|spells|save|saving throw)$/, "");
+
+    if (normalized === "perception") {
+      return { category: this.CATEGORIES.PERCEPTION, key: "perception" };
+    }
+    if (this.SAVE_KEYS[words] || Object.values(this.SAVE_KEYS).includes(words)) {
+      return { category: this.CATEGORIES.SAVE, key: this.SAVE_KEYS[words] || words };
+    }
+    if (/armou?r$/.test(normalized) && this.ARMOR_KEYS.includes(words)) {
+      return { category: this.CATEGORIES.ARMOR, key: words };
+    }
+    if (/(weapons?|attacks?)$/.test(normalized) && this.WEAPON_KEYS.includes(words)) {
+      return { category: this.CATEGORIES.WEAPON, key: words };
+    }
+    if (this.TRADITIONS.includes(words)) {
+      return { category: this.CATEGORIES.SPELLCASTING, key: words };
+    }
+    if (normalized.endsWith(" lore")) {
+      return { category: this.CATEGORIES.LORE, key: String(name).trim() };
+    }
+    return { category: this.CATEGORIES.SKILL, key: normalized };
+  }
+
+  /**
+   * Get the character actor for an ID
+   * @param {string} characterId - The ID of the character
+   * @returns {Actor} - The actor
+   * @throws {Error} - If the character is missing or not a character
+   * @private
+   */
+  static _getCharacter(characterId) {
+    if (!characterId) throw new Error("Character ID is required");
+
+    const actor = game.actors.get(characterId);
+    if (!actor) {
+      throw new Error(`Character with ID ${characterId} not found`);
+    }
+    if (actor.type !== "character") {
+      throw new Error("The provided ID does not belong to a character");
+    }
+    return actor;
+  }
+
+  /**
+   * Return the first candidate path that exists on the actor's source data.
+   * PF2e has moved some fields between versions (e.g. perception, short skill keys).
+   * @param {Actor} actor - The actor
+   * @param {Array<string>} paths - Candidate paths in order of preference
+   * @returns {string|null} - The existing path, or null
+   * @private
+   */
+  static _findPath(actor, paths) {
+    return paths.find(path => foundry.utils.getProperty(actor._source, path) !== undefined) ?? null;
+  }
+
+  /**
+   * Find a lore item by name, accepting "Warfare" or "Warfare Lore"
+   * @param {Actor} actor - The actor
+   * @param {string} key - The lore name
+   * @returns {Item|undefined} - The lore item
+   * @private
+   */
+  static _findLore(actor, key) {
+    const name = key.toLowerCase().replace(/\s+lore$/, "");
+    return actor.items.find(item =>
+      item.type === "lore" &&
+      item.name.toLowerCase().replace(/\s+lore$/, "") === name
+    );
+  }
+
+  /**
+   * Resolve where a proficiency's rank is stored
+   * @param {Actor} actor - The actor
+   * @param {string} category - One of CATEGORIES
+   * @param {string} key - The proficiency key or display name
+   * @returns {Object} - { label, path } for actor fields, plus item for item-based proficiencies,
+   *                     or { label, missingLore: true } for a lore the character doesn't have yet
+   * @throws {Error} - If the proficiency can't be found
+   */
+  static resolveTarget(actor, category, key) {
+    const normalized = String(key).trim().toLowerCase();
+
+    switch (category) {
+      case this.CATEGORIES.SKILL: {
+        const fullKey = this.SKILL_KEYS[normalized] || normalized;
+        const shortKey = Object.keys(this.SKILL_KEYS).find(short => this.SKILL_KEYS[short] === fullKey);
+        const path = this._findPath(actor, [fullKey, shortKey].filter(Boolean).map(k => `system.skills.${k}.rank`));
+        if (path) {
+          const skillKey = path.split(".")[2];
+          return { label: actor.system.skills?.[skillKey]?.label || fullKey, path };
+        }
+
+        // Lore skills are items in PF2e, not entries in system.skills
+        if (this._findLore(actor, key) || normalized.endsWith(" lore")) {
+          return this.resolveTarget(actor, this.CATEGORIES.LORE, key);
+        }
+        throw new Error(`Skill "${key}" not found on character sheet, skills are ${Object.keys(actor.system.skills || {}).join(", ")}`);
+      }
+      case this.CATEGORIES.LORE: {
+        const lore = this._findLore(actor, key);
+        if (!lore) {
+          return { label: String(key).trim(), missingLore: true };
+        }
+        return { label: lore.name, item: lore, path: "system.proficient.value" };
+      }
+      case this.CATEGORIES.SAVE: {
+        const save = this.SAVE_KEYS[normalized] || normalized;
+        if (!Object.values(this.SAVE_KEYS).includes(save)) {
+          throw new Error(`Unknown saving throw: ${key}`);
+        }
+        return { label: actor.system.saves?.[save]?.label || save, path: `system.saves.${save}.rank` };
+      }
+      case this.CATEGORIES.PERCEPTION: {
+        const path = this._findPath(actor, ["system.perception.rank", "system.attributes.perception.rank"]) || "system.perception.rank";
+        return { label: "Perception", path };
+      }
+      case this.CATEGORIES.ARMOR: {
+        const armor = normalized.replace(/\s+armou?r$/, "");
+        if (!this.ARMOR_KEYS.includes(armor)) {
+          throw new Error(`Unknown armor category: ${key}`);
+        }
+        return { label: `${armor} armor`, path: `system.proficiencies.defenses.${armor}.rank` };
+      }
+      case this.CATEGORIES.WEAPON: {
+        const weapon = normalized.replace(/\s+(weapons?|attacks?)$/, "");
+        if (!this.WEAPON_KEYS.includes(weapon)) {
+          throw new Error(`Unknown weapon category: ${key}`);
+        }
+        return { label: `${weapon} weapons`, path: `system.proficiencies.attacks.${weapon}.rank` };
+      }
+      case this.CATEGORIES.SPELLCASTING: {
+        const tradition = normalized.replace(/\s+(spellcasting|spells)$/, "");
+        const entry = actor.items.find(item =>
+          item.type === "spellcastingEntry" &&
+          (item.system.tradition?.value === tradition || item.name.toLowerCase() === normalized)
+        );
+        if (!entry) {
+          throw new Error(`No ${tradition} spellcasting entry found on ${actor.name}`);
+        }
+        return { label: entry.name, item: entry, path: "system.proficiency.value" };
+      }
+      default:
+        throw new Error(`Unknown proficiency category: ${category}`);
+    }
+  }
+
+  /**
+   * Get the current rank of a proficiency
+   * @param {string} characterId - The ID of the character
+   * @param {string} category - One of CATEGORIES
+   * @param {string} key - The proficiency key or display name
+   * @returns {number} - The current rank (0-4)
+   */
+  static getProficiency(characterId, category, key) {
+    const actor = this._getCharacter(characterId);
+    const target = this.resolveTarget(actor, category, key);
+    if (target.missingLore) return 0;
+
+    const source = target.item ? target.item._source : actor._source;
+    return foundry.utils.getProperty(source, target.path) ?? 0;
+  }
+
+  /**
+   * Set a character's proficiency rank
+   * @param {string} characterId - The ID of the character
+   * @param {string} category - One of CATEGORIES
+   * @param {string} key - The proficiency key or display name (e.g. "acr", "Acrobatics", "Warfare Lore")
+   * @param {string|number} proficiencyLevel - The new rank (untrained, trained, expert, master, legendary or 0-4)
+   * @returns {Promise<Object>} - What changed: { label, path, itemId, created, previous, next }
+   * @throws {Error} - If the character, proficiency or rank is invalid
+   */
+  static async setProficiency(characterId, category, key, proficiencyLevel) {
+    if (!key) throw new Error("Proficiency name is required");
+    if (proficiencyLevel === undefined || proficiencyLevel === null || proficiencyLevel === "") {
+      throw new Error("Proficiency level is required");
+    }
+
+    const actor = this._getCharacter(characterId);
+    const rank = this.normalizeRank(proficiencyLevel);
+    const target = this.resolveTarget(actor, category, key);
+
+    // Add lores the character doesn't have yet
+    if (target.missingLore) {
+      const name = /\slore$/i.test(target.label) ? target.label : `${target.label} Lore`;
+      const [lore] = await actor.createEmbeddedDocuments("Item", [{
+        name,
+        type: "lore",
+        system: { proficient: { value: rank } }
+      }]);
+      logStateChange("Proficiency", "lore added", { actorId: actor.id, label: name, rank });
+      return { label: name, itemId: lore.id, created: true, previous: null, next: rank };
+    }
+
+    if (target.item) {
+      const previous = foundry.utils.getProperty(target.item._source, target.path) ?? 0;
+      await target.item.update({ [target.path]: rank });
+      logStateChange("Proficiency", "rank updated", { actorId: actor.id, label: target.label, itemId: target.item.id, previous, rank });
+      return { label: target.label, path: target.path, itemId: target.item.id, created: false, previous, next: rank };
+    }
+
+    const previous = foundry.utils.getProperty(actor._source, target.path) ?? 0;
+    await actor.update({ [target.path]: rank });
+    logStateChange("Proficiency", "rank updated", { actorId: actor.id, label: target.label, previous, rank });
+    return { label: target.label, path: target.path, itemId: null, created: false, previous, next: rank };
+  }
+}
+
+// Register API globally if this script is loaded by itself
+if (typeof window !== "undefined") {
+  window.ProficiencyManager = ProficiencyManager;
+}
+
+export default ProficiencyManager;
@@ -0,0 +1,64 @@
+/**
+ * Utility functions for turning backend references into Foundry content links
+ */
+
+import { logError } from './logUtils.js';
+
+/**
+ * Resolves a reference from the backend to a document UUID
+ * @param {Object|string} reference - A UUID string, or an object with uuid, or pack and id
+ * @returns {string|null} - The document UUID, or null if it can't be determined
+ */
+export function referenceToUuid(reference) {
+    if (!reference) return null;
+    if (typeof reference === 'string') return reference;
+    if (reference.uuid) return reference.uuid;
+
+    if (reference.pack && reference.id) {
+        const documentName = game.packs.get(reference.pack)?.documentName || 'Item';
+        return `Compendium.${reference.pack}.${documentName}.${reference.id}`;
+    }
+    return null;
+}
+
+/**
+ * Formats a references array as a line of @UUID links
+ * @param {Array<Object|string>} references - References from the backend response
+ * @param {string} content - The reply content, references it already links are skipped
+ * @returns {string} - Markdown with @UUID links, or an empty string
+ */
+export function formatReferences(references = [], content = '') {
+    const links = references
+        .map(reference => ({ uuid: referenceToUuid(reference), name: reference?.name }))
+        .filter(({ uuid }) => uuid && !content.includes(`@UUID[${uuid}]`))
+        .map(({ uuid, name }) => name ? `@UUID[${uuid}]{${name}}` : `@UUID[${uuid}]`);
+
+    if (!links.length) return '';
+    return `**${game.i18n.localize('frinny.ui.references')}:** ${links.join(', ')}`;
+}
+
+/**
+ * Appends a references line to reply content
+ * @param {string} content - The reply content
+ * @param {Array<Object|string>} references - References from the backend response
+ * @returns {string} - The content with references appended
+ */
+export function appendReferences(content = '', references = []) {
+    const line = formatReferences(references, content);
+    return line ? `${content}\n\n${line}` : content;
+}
+
+/**
+ * Converts @UUID and other Foundry enrichers in HTML into content links
+ * that open the document sheet and can be dragged onto a character sheet
+ * @param {string} html - Sanitized HTML
+ * @returns {Promise<string>} - Enriched HTML
+ */
+export async function enrichContent(html) {
+    try {
+        return await TextEditor.enrichHTML(html, { async: true });
+    } catch (error) {
+        logError('enriching Frinny content', error);
+        return html;
+    }
+}
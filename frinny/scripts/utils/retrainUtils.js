@@ -0,0 +1,168 @@
+/**
+ * Utility functions for noticing retraining and level decreases.
+ * A snapshot of the character's feats and skill ranks is kept in the actor's
+ * frinny.buildSnapshot flag and compared against the sheet after changes.
+ * When something is only given up, the snapshot is held back so a replacement
+ * taken a while later is still seen as part of the same retrain.
+ */
+
+import { logStateChange } from './logUtils.js';
+
+/**
+ * How long something given up waits for its replacement before the loss is accepted, in ms
+ */
+export const RETRAIN_WINDOW = 10 * 60 * 1000;
+
+/**
+ * Captures the parts of a character's build that can be retrained
+ * @param {Actor} actor - The character actor
+ * @returns {Object} - The level, feats and skill ranks
+ */
+export function gatherBuildSnapshot(actor) {
+    return {
+        level: actor.system.details.level.value,
+        feats: actor.items.filter(i => i.type === 'feat').map(feat => ({
+            id: feat.id,
+            name: feat.name,
+            category: feat.system.category,
+            levelTaken: feat.system.level?.taken ?? null
+        })),
+        skills: Object.fromEntries(
+            Object.entries(actor.system.skills || {}).map(([key, skill]) => [key, skill.rank ?? 0])
+        )
+    };
+}
+
+/**
+ * Gets the stored build snapshot
+ * @param {Actor} actor - The character actor
+ * @returns {Object|null} - The snapshot, or null if none was taken yet
+ */
+export function getBuildSnapshot(actor) {
+    return actor.getFlag('frinny', 'buildSnapshot') || null;
+}
+
+/**
+ * Stores the character's current build as the snapshot to compare against
+ * @param {Actor} actor - The character actor
+ * @returns {Promise<Object>} - The stored snapshot
+ */
+export async function saveBuildSnapshot(actor) {
+    const snapshot = gatherBuildSnapshot(actor);
+    // Flags merge, so clear any wait for a replacement explicitly
+    await actor.setFlag('frinny', 'buildSnapshot', { ...snapshot, pendingSince: null });
+    logStateChange('Build snapshot', 'saved', {
+        actorId: actor.id,
+        level: snapshot.level,
+        featCount: snapshot.feats.length
+    });
+    return snapshot;
+}
+
+/**
+ * Compares two build snapshots
+ * @param {Object} previous - The stored snapshot
+ * @param {Object} current - The character's current build
+ * @returns {Object} - { removedFeats, addedFeats, skillChanges: [{ key, from, to }] }
+ */
+export function diffBuild(previous, current) {
+    const previousIds = new Set(previous.feats.map(f => f.id));
+    const currentIds = new Set(current.feats.map(f => f.id));
+
+    const skillKeys = new Set([...Object.keys(previous.skills), ...Object.keys(current.skills)]);
+    const skillChanges = [...skillKeys]
+        .map(key => ({ key, from: previous.skills[key] ?? 0, to: current.skills[key] ?? 0 }))
+        .filter(change => change.from !== change.to);
+
+    return {
+        removedFeats: previous.feats.filter(f => !currentIds.has(f.id)),
+        addedFeats: current.feats.filter(f => !previousIds.has(f.id)),
+        skillChanges
+    };
+}
+
+/**
+ * Checks whether a build change looks like retraining: something was given up
+ * and something else taken in its place. Plain additions are normal progression.
+ * @param {Object} diff - The result of diffBuild
+ * @returns {boolean} - Whether the change is a swap
+ */
+export function isRetrain(diff) {
+    const lostSomething = diff.removedFeats.length > 0 || diff.skillChanges.some(c => c.to < c.from);
+    const gainedSomething = diff.addedFeats.length > 0 || diff.skillChanges.some(c => c.to > c.from);
+    return lostSomething && gainedSomething;
+}
+
+/**
+ * Checks whether a build change only gave something up, e.g. the first half
+ * of a retrain where the old feat is deleted before the new one is added
+ * @param {Object} diff - The result of diffBuild
+ * @returns {boolean} - Whether something was lost and nothing gained
+ */
+export function isLossOnly(diff) {
+    const lostSomething = diff.removedFeats.length > 0 || diff.skillChanges.some(c => c.to < c.from);
+    const gainedSomething = diff.addedFeats.length > 0 || diff.skillChanges.some(c => c.to > c.from);
+    return lostSomething && !gainedSomething;
+}
+
+/**
+ * Decides what a build change means and whether the stored snapshot should move forward.
+ * A loss-only change keeps the snapshot, marked with when the loss was first seen,
+ * until a gain completes the swap or RETRAIN_WINDOW passes.
+ * @param {Object} previous - The stored snapshot, possibly with pendingSince
+ * @param {Object} current - The character's current build
+ * @param {number} now - The current time in ms
+ * @returns {Object} - { diff, retrain, holdSnapshot, pendingSince }
+ * @example
+ * // Old feat deleted, replacement added more than the debounce later
+ * const afterDelete = evaluateBuildChange(snapshot, withoutOldFeat, t);
+ * // => { retrain: false, holdSnapshot: true, pendingSince: t }
+ * const afterCreate = evaluateBuildChange({ ...snapshot, pendingSince: t }, withNewFeat, t + 5000);
+ * // => { retrain: true, holdSnapshot: false, diff: { removedFeats: [oldFeat], addedFeats: [newFeat] } }
+ * evaluateBuildChange({ ...snapshot, pendingSince: t }, withNewFeat, t + RETRAIN_WINDOW);
+ * // => { retrain: false, holdSnapshot: false }, the loss was accepted before the gain
+ */
+export function evaluateBuildChange(previous, current, now = Date.now()) {
+    const diff = diffBuild(previous, current);
+    const expired = previous.pendingSince != null && now - previous.pendingSince >= RETRAIN_WINDOW;
+    const retrain = !expired && isRetrain(diff);
+    const holdSnapshot = !expired && isLossOnly(diff);
+    return {
+        diff,
+        retrain,
+        holdSnapshot,
+        pendingSince: holdSnapshot ? previous.pendingSince ?? now : null
+    };
+}
+
+/**
+ * Marks the stored snapshot as waiting on a replacement for something given up
+ * @param {Actor} actor - The character actor
+ * @param {number} pendingSince - When the loss was first seen
+ * @returns {Promise<void>}
+ */
+export async function holdBuildSnapshot(actor, pendingSince) {
+    if (getBuildSnapshot(actor)?.pendingSince === pendingSince) return;
+    await actor.setFlag('frinny', 'buildSnapshot.pendingSince', pendingSince);
+    logStateChange('Build snapshot', 'held for a replacement', { actorId: actor.id, pendingSince });
+}
+
+/**
+ * Gathers data for a retrain event
+ * @param {Actor} actor - The character actor
+ * @param {Object} details - What changed: reason ('retrain' or 'level_down') and its specifics
+ * @returns {Object} - Retrain event data
+ */
+export function gatherRetrainData(actor, details) {
+    return {
+        actorId: actor.id,
+        userId: game.user.id,
+        system_id: game.system.id,
+        character: {
+            name: actor.name,
+            class: actor.items.find(i => i.type === 'class')?.name || null,
+            ...gatherBuildSnapshot(actor)
+        },
+        ...details
+    };
+}
@@ -0,0 +1,332 @@
+/**
+ * Utility functions for keeping backend payloads small.
+ * Documents are projected down to the fields the backend uses, payloads over the
+ * configured byte budget are trimmed in priority order, and large payloads can be gzipped.
+ */
+
+import { logStateChange } from './logUtils.js';
+
+/**
+ * Fields removed, in order, when a payload is over budget.
+ * Arrays with keepLast are shortened from the front, anything else is dropped.
+ */
+const TRIM_PRIORITIES = [
+    // Older conversation turns matter least
+    { path: 'conversation_history', keepLast: 4 },
+    // Turn order is repeated in the tactical snapshot
+    { path: 'combatants' },
+    { path: 'active_character.items' },
+    { path: 'tactical.combatants' },
+    { path: 'character.feats' },
+    { path: 'conversation_history', keepLast: 1 }
+];
+
+// Payloads smaller than this aren't worth compressing
+const COMPRESSION_THRESHOLD = 8 * 1024;
+
+/**
+ * Measures the size of a value once serialized
+ * @param {*} value - The value to measure
+ * @returns {number} - Size in bytes
+ */
+export function measurePayload(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Converts HTML to plain text without loading any of its resources
+ * @param {string} html - The HTML
+ * @returns {string} - The text content
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+}
+
+/**
+ * Projects ability scores to their modifiers
+ * @param {Object} abilities - actor.system.abilities
+ * @returns {Object} - Modifier per ability
+ */
+export function projectAbilities(abilities) {
+    return Object.fromEntries(
+        Object.entries(abilities || {}).map(([key, ability]) => [key, ability.mod ?? ability.value ?? null])
+    );
+}
+
+/**
+ * Projects statistics with a value and proficiency rank, such as saves and skills
+ * @param {Object} statistics - actor.system.saves or actor.system.skills
+ * @returns {Object} - { value, rank, label } per statistic
+ */
+export function projectStatistics(statistics) {
+    return Object.fromEntries(
+        Object.entries(statistics || {}).map(([key, statistic]) => [key, {
+            value: statistic.value ?? statistic.totalModifier ?? null,
+            rank: statistic.rank ?? 0,
+            label: statistic.label || key
+        }])
+    );
+}
+
+/**
+ * Projects the attributes the backend uses
+ * @param {Object} attributes - actor.system.attributes
+ * @returns {Object} - HP, AC, speeds and class DC
+ */
+export function projectAttributes(attributes) {
+    const hp = attributes?.hp;
+    const speed = attributes?.speed;
+    return {
+        hp: hp ? { value: hp.value, max: hp.max, temp: hp.temp ?? 0 } : null,
+        ac: attributes?.ac?.value ?? null,
+        speed: speed ? {
+            value: speed.total ?? speed.value,
+            other: (speed.otherSpeeds || []).map(other => ({ type: other.type, value: other.total ?? other.value }))
+        } : null,
+        classDC: attributes?.classDC?.value ?? null
+    };
+}
+
+/**
+ * Projects character details, leaving out the biography and other long text
+ * @param {Object} details - actor.system.details
+ * @returns {Object} - Level, key ability, ancestry, heritage, class and background
+ */
+export function projectDetails(details) {
+    return {
+        level: details?.level?.value ?? null,
+        keyability: details?.keyability?.value ?? null,
+        ancestry: details?.ancestry?.name ?? null,
+        heritage: details?.heritage?.name ?? null,
+        class: details?.class?.name ?? null,
+        background: details?.background?.name ?? null,
+        xp: details?.xp?.value ?? null
+    };
+}
+
+/**
+ * Projects a character's resources to their current and maximum values
+ * @param {Object} resources - actor.system.resources
+ * @returns {Object} - { value, max } per pool such as heroPoints, focus and investiture, and the number of known formulas
+ */
+export function projectResources(resources) {
+    const projected = {};
+    for (const [key, resource] of Object.entries(resources || {})) {
+        if (typeof resource?.value === 'number') {
+            projected[key] = { value: resource.value, max: resource.max ?? null };
+        }
+    }
+    if (resources?.crafting) {
+        projected.crafting = { formulas: (resources.crafting.formulas || []).length };
+    }
+    return projected;
+}
+
+/**
+ * Projects proficiency groups to their ranks, such as actor.system.proficiencies or the older actor.system.martial
+ * @param {Object} group - The proficiencies, keyed by category or by group of categories
+ * @param {number} depth - How many levels of grouping to follow
+ * @returns {Object} - Rank per proficiency, nested like the source
+ */
+export function projectProficiencies(group, depth = 2) {
+    const ranks = {};
+    for (const [key, value] of Object.entries(group || {})) {
+        if (typeof value?.rank === 'number') {
+            ranks[key] = value.rank;
+        } else if (value && typeof value === 'object' && depth > 1) {
+            ranks[key] = projectProficiencies(value, depth - 1);
+        }
+    }
+    return ranks;
+}
+
+/**
+ * Projects an actor's traits
+ * @param {Object} traits - actor.system.traits
+ * @returns {Object} - Trait slugs, rarity and size
+ */
+export function projectTraits(traits) {
+    return {
+        value: traits?.value || [],
+        rarity: traits?.rarity ?? null,
+        size: traits?.size?.value ?? null
+    };
+}
+
+/**
+ * Projects an item to what identifies it
+ * @param {Item} item - The item
+ * @returns {Object} - ID, name, type, level, category and traits
+ */
+export function projectItem(item) {
+    return {
+        id: item.id,
+        name: item.name,
+        type: item.type,
+        level: item.system.level?.value ?? null,
+        category: item.system.category ?? null,
+        traits: item.system.traits?.value || []
+    };
+}
+
+/**
+ * Projects an actor in place of actor.toObject()
+ * @param {Actor} actor - The actor
+ * @returns {Object} - The actor's statistics and items
+ */
+export function projectActor(actor) {
+    return {
+        id: actor.id,
+        name: actor.name,
+        type: actor.type,
+        abilities: projectAbilities(actor.system.abilities),
+        attributes: projectAttributes(actor.system.attributes),
+        perception: actor.system.perception?.value ?? actor.system.attributes?.perception?.value ?? null,
+        saves: projectStatistics(actor.system.saves),
+        skills: projectStatistics(actor.system.skills),
+        details: projectDetails(actor.system.details),
+        items: actor.items.map(projectItem)
+    };
+}
+
+/**
+ * Projects a chat message in place of message.toObject()
+ * @param {ChatMessage} message - The chat message
+ * @returns {Object} - Speaker, author, text content and roll results
+ */
+export function projectChatMessage(message) {
+    return {
+        id: message.id,
+        speaker: message.speaker?.alias || message.alias || null,
+        author: (message.author ?? message.user)?.name ?? null,
+        content: htmlToText(message.content),
+        flavor: htmlToText(message.flavor),
+        rolls: (message.rolls || []).map(roll => ({ formula: roll.formula, total: roll.total })),
+        timestamp: message.timestamp
+    };
+}
+
+/**
+ * Removes a property by path
+ * @param {Object} object - The object
+ * @param {string} path - Dot separated path
+ */
+function removeProperty(object, path) {
+    const parts = path.split('.');
+    const key = parts.pop();
+    const parent = parts.length ? foundry.utils.getProperty(object, parts.join('.')) : object;
+    if (parent && typeof parent === 'object') {
+        delete parent[key];
+    }
+}
+
+/**
+ * Trims a payload in priority order until it fits the byte budget
+ * @param {Object} payload - The payload
+ * @param {number} budget - Maximum size in bytes, 0 for no limit
+ * @returns {{payload: Object, size: number, trimmed: Array<string>, overBudget: boolean}} - The payload
+ * (a trimmed copy if it was over budget), and whether it is still over budget once everything was trimmed
+ */
+export function enforceBudget(payload, budget) {
+    let size = measurePayload(payload);
+    if (!budget || size <= budget) {
+        return { payload, size, trimmed: [], overBudget: false };
+    }
+
+    const result = foundry.utils.deepClone(payload);
+    const trimmed = [];
+    for (const { path, keepLast } of TRIM_PRIORITIES) {
+        const value = foundry.utils.getProperty(result, path);
+        if (value === undefined) continue;
+
+        if (keepLast !== undefined) {
+            // A conversation summary stands in for everything trimmed, so it is kept
+            const pinned = Array.isArray(value) ? value.filter(entry => entry?.is_summary) : [];
+            const rest = Array.isArray(value) ? value.filter(entry => !entry?.is_summary) : [];
+            if (rest.length <= keepLast) continue;
+            foundry.utils.setProperty(result, path, [...pinned, ...rest.slice(-keepLast)]);
+        } else {
+            removeProperty(result, path);
+        }
+
+        trimmed.push(path);
+        size = measurePayload(result);
+        if (size <= budget) break;
+    }
+
+    return { payload: result, size, trimmed, overBudget: size > budget };
+}
+
+/**
+ * Gzips a value and encodes it as base64
+ * @param {*} value - The value to compress
+ * @returns {Promise<string>} - Base64 encoded gzip of the value's JSON
+ */
+export async function compressPayload(value) {
+    const stream = new Blob([JSON.stringify(value)]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    // Convert in chunks to stay under the argument limit of String.fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Prepares a payload for sending: trims it to the budget and compresses it if enabled.
+ * Routing keys are kept outside the compressed data so the backend can still dispatch the message.
+ * @param {Object} data - The payload
+ * @param {Object} options - Serialization options
+ * @param {number} options.budget - Maximum size in bytes, 0 for no limit
+ * @param {boolean} options.compress - Whether to gzip large payloads
+ * @param {Array<string>} options.routingKeys - Keys that stay uncompressed
+ * @returns {Promise<{payload: Object, trimmed: Array<string>, overBudget: boolean}>} - The payload to send,
+ * with the paths trimmed from it and whether it is still over budget, readable even when compressed
+ */
+export async function serializePayload(data, { budget = 0, compress = false, routingKeys = [] } = {}) {
+    const { payload, size, trimmed, overBudget } = enforceBudget(data, budget);
+
+    if (trimmed.length) {
+        payload.payload_trimmed = trimmed;
+        logStateChange('Payload', 'trimmed to budget', {
+            action: data.action,
+            originalSize: measurePayload(data),
+            size,
+            budget,
+            trimmed
+        });
+    }
+
+    // Nothing left to trim, send it anyway and let the backend know
+    if (overBudget) {
+        payload.payload_over_budget = true;
+        logStateChange('Payload', 'still over budget after trimming', {
+            action: data.action,
+            size,
+            budget
+        });
+    }
+
+    if (!compress || size < COMPRESSION_THRESHOLD || typeof CompressionStream === 'undefined') {
+        return { payload, trimmed, overBudget };
+    }
+
+    const routing = {};
+    const body = {};
+    for (const [key, value] of Object.entries(payload)) {
+        (routingKeys.includes(key) ? routing : body)[key] = value;
+    }
+
+    return {
+        payload: {
+            ...routing,
+            encoding: 'gzip+base64',
+            data: await compressPayload(body)
+        },
+        trimmed,
+        overBudget
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Utility functions for the rolling summary of long conversations.
+ * Only the most recent messages of a session are sent as context; once enough
+ * messages have gone past that window, the backend summarizes them and the
+ * summary is stored on the session and sent ahead of the recent messages.
+ */
+
+/**
+ * Number of recent messages sent with a private query
+ */
+export const HISTORY_LENGTH = 10;
+
+/**
+ * Number of messages since the last summary that triggers a new one
+ */
+export const SUMMARY_THRESHOLD = 20;
+
+/**
+ * Converts chat messages to the backend's conversation history format
+ * @param {Array<Object>} messages - Stored chat messages
+ * @returns {Array<Object>} - { role, content } per message
+ */
+export function toConversationHistory(messages) {
+    return messages.map(message => ({
+        role: message.type === 'user' ? 'user' : 'assistant',
+        content: message.content
+    }));
+}
+
+/**
+ * Gets the messages after the point a summary covers
+ * @param {Array<Object>} messages - The session's messages, oldest first
+ * @param {Object|null} summary - The session's summary
+ * @returns {Array<Object>} - Messages the summary doesn't cover
+ */
+export function getUnsummarizedMessages(messages, summary) {
+    if (!summary) return messages;
+
+    const index = messages.findIndex(message => message.id === summary.throughMessageId);
+    // The summarized message was deleted, fall back to its timestamp
+    return index === -1
+        ? messages.filter(message => message.timestamp > summary.throughTimestamp)
+        : messages.slice(index + 1);
+}
+
+/**
+ * Checks whether a session has grown enough since its last summary to summarize again
+ * @param {Array<Object>} messages - The session's messages, oldest first
+ * @param {Object|null} summary - The session's summary
+ * @returns {boolean} - Whether a new summary is due
+ */
+export function needsSummary(messages, summary) {
+    return getUnsummarizedMessages(messages, summary).length > SUMMARY_THRESHOLD;
+}
+
+/**
+ * Picks the messages to fold into the summary: everything not yet summarized
+ * except the recent messages that are still sent as they are
+ * @param {Array<Object>} messages - The session's messages, oldest first
+ * @param {Object|null} summary - The session's summary
+ * @returns {Array<Object>} - The messages to summarize
+ */
+export function selectMessagesToSummarize(messages, summary) {
+    return getUnsummarizedMessages(messages, summary).slice(0, -HISTORY_LENGTH);
+}
+
+/**
+ * Builds the conversation history for a query, with the summary ahead of the recent messages
+ * @param {Array<Object>} messages - Earlier messages of the session, oldest first
+ * @param {string|null} summary - The session's summary
+ * @returns {Array<Object>} - Conversation history entries
+ */
+export function buildConversationHistory(messages, summary = null) {
+    const history = toConversationHistory(messages.slice(-HISTORY_LENGTH));
+    return summary
+        ? [{ role: 'system', content: summary, is_summary: true }, ...history]
+        : history;
+}
@@ -0,0 +1,96 @@
+/**
+ * Utility functions for the private chat's conversation threads.
+ * Each actor the user plays has its own thread, keyed by actor ID, next to a
+ * general thread. A thread holds any number of sessions, kept in the
+ * ConversationStore; the selected thread is stored in the user's frinny.activeThread flag.
+ */
+
+/**
+ * ID of the thread that isn't about any actor
+ */
+export const GENERAL_THREAD = 'general';
+
+// Actor types a player can hold a conversation about
+const THREAD_ACTOR_TYPES = ['character', 'familiar'];
+
+/**
+ * Gets the thread ID for an actor
+ * @param {Actor|null} actor - The actor, or null for the general thread
+ * @returns {string} - The thread ID
+ */
+export function getThreadId(actor) {
+    return actor?.id || GENERAL_THREAD;
+}
+
+/**
+ * Gets the actor a thread is about
+ * @param {string} threadId - The thread ID
+ * @returns {Actor|null} - The actor, or null for the general thread or a deleted actor
+ */
+export function getThreadActor(threadId) {
+    if (!threadId || threadId === GENERAL_THREAD) return null;
+    return game.actors.get(threadId) ?? null;
+}
+
+/**
+ * Gets the display name of a thread
+ * @param {string} threadId - The thread ID
+ * @returns {string} - The actor's name, or the general thread's label
+ */
+export function getThreadLabel(threadId) {
+    if (threadId === GENERAL_THREAD) return game.i18n.localize('frinny.threads.general');
+    return getThreadActor(threadId)?.name ?? game.i18n.localize('frinny.threads.unknownActor');
+}
+
+/**
+ * Lists the actors the user can start a thread about: their characters, familiars and companions
+ * @returns {Array<Actor>} - The actors, the user's assigned character first
+ */
+export function listThreadActors() {
+    const actors = game.actors.filter(actor =>
+        THREAD_ACTOR_TYPES.includes(actor.type)
+        && actor.isOwner
+        // GMs own everything, so only offer them the player characters
+        && (!game.user.isGM || actor.hasPlayerOwner)
+    );
+    const character = game.user.character;
+    return character
+        ? [character, ...actors.filter(actor => actor.id !== character.id)]
+        : actors;
+}
+
+/**
+ * Reads history saved in user flags before conversations moved to the ConversationStore.
+ * The single frinny.messages history belongs to the general thread.
+ * These flags are left in place, the ConversationStore gets a copy.
+ * @returns {Object<string, Array<Object>>} - Messages per thread ID, only threads with messages
+ */
+export function readFlagHistory() {
+    const threads = { ...(game.user.getFlag('frinny', 'threads') || {}) };
+
+    const legacyMessages = game.user.getFlag('frinny', 'messages');
+    if (legacyMessages?.length) {
+        threads[GENERAL_THREAD] = [...legacyMessages, ...(threads[GENERAL_THREAD] || [])];
+    }
+
+    return Object.fromEntries(Object.entries(threads).filter(([, messages]) => messages?.length));
+}
+
+/**
+ * Gets the thread the user last had open
+ * @returns {string} - The thread ID, defaulting to the user's character
+ */
+export function getActiveThreadId() {
+    const saved = game.user.getFlag('frinny', 'activeThread');
+    if (saved === GENERAL_THREAD || getThreadActor(saved)) return saved;
+    return getThreadId(game.user.character);
+}
+
+/**
+ * Remembers the thread the user has open
+ * @param {string} threadId - The thread ID
+ * @returns {Promise<void>}
+ */
+export async function setActiveThreadId(threadId) {
+    await game.user.setFlag('frinny', 'activeThread', threadId);
+}